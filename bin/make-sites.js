@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+/**
+ * make-sites command line tool
+ * Creates, decodes and inspects make-sites links from Node (18+) using the same
+ * MakeSitesCompression code as the viewer, so links made in CI open in the browser.
+ *
+ *   make-sites encode [file|dir] [--format <format>] [--codec <codec>] [--base-url <url>] [--fragment]
+ *   make-sites decode <url|fragment|-> [--output <file>]
+ *   make-sites inspect <url|fragment|-> [--json]
+ *   make-sites keygen <file>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+const { webcrypto } = require('crypto');
+
+const DEFAULT_BASE_URL = 'https://smeltserMake.github.io/make-sites';
+
+const EXTENSION_FORMATS = {
+    '.html': 'html',
+    '.htm': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.json': 'json',
+    '.txt': 'text',
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.toml': 'toml',
+    '.diff': 'diff',
+    '.patch': 'diff'
+};
+
+const ASSET_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.pdf': 'application/pdf'
+};
+
+const USAGE = `Usage: make-sites <command> [options]
+
+Commands:
+  encode [file|dir]    Compress a file (or stdin) and print a make-sites URL; a directory
+                       becomes a multi-page site (one page per .md/.html/.json/.txt file,
+                       .css files shared by all pages, index or README first, other files
+                       embedded as assets)
+  decode <input>       Print the original content of a URL or fragment
+  inspect <input>      Print the metadata and size breakdown of a URL or fragment
+  keygen <file>        Create an Ed25519 signing key (JWK) and print its fingerprint
+
+  <input> is a full URL, a bare fragment, or - to read it from stdin.
+
+Options:
+  -f, --format <fmt>   Content format for encode (default: from the file extension; other
+                       extensions are encoded as code, stdin as text)
+  -l, --language <l>   Language of code, e.g. python (default: from the file name)
+  -c, --codec <name>   Force a codec for encode (default: smallest of all available)
+      --dictionary <d> Preset dictionary name or id for encode, or none (default: best)
+  -b, --base-url <url> Viewer URL for encode (default: ${DEFAULT_BASE_URL})
+      --fragment       Print only the fragment instead of a full URL
+      --timestamp      Record the creation time in the link
+      --interactive    Let HTML run scripts in the viewer's sandbox (default: scripts off)
+  -p, --passphrase <p> Encrypt (encode) or decrypt (decode) with a passphrase;
+                       MAKE_SITES_PASSPHRASE is used when the option is omitted
+      --split-key      Encrypt with a random key appended as <data>.<key>
+  -k, --key <key>      Key for decoding a split-key link shared without it
+  -s, --sign <file>    Sign the link with a key made by keygen
+  -a, --asset <file>   Embed a file, referenced from the content as asset:<file name>
+                       (repeatable)
+  -o, --output <file>  Write decoded content to a file instead of stdout
+      --json           Print inspect output as JSON
+  -v, --verbose        Show library logging on stderr
+  -h, --help           Show this help
+`;
+
+/**
+ * Read all of stdin as a Buffer
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Read encode/decode input: a file path, '-' or nothing for stdin
+ */
+async function readInput(source) {
+    if (!source || source === '-') {
+        return readStdin();
+    }
+    return fs.promises.readFile(source);
+}
+
+/**
+ * Pull the encoded data out of a full URL, a '#fragment' or a bare fragment, without
+ * the page, line range, search or section the viewer adds after it
+ */
+function extractFragment(MakeSitesCompression, input) {
+    const text = input.trim();
+    const hashIndex = text.indexOf('#');
+    // What comes before the first '#' is the viewer's URL, unless it's a bare link
+    // followed by a section (`<data>#<slug>`)
+    const fragment = hashIndex === -1 || isLink(MakeSitesCompression, text.slice(0, hashIndex))
+        ? text
+        : text.slice(hashIndex + 1);
+    return MakeSitesCompression.parseRoute(fragment).data;
+}
+
+/**
+ * Whether text is encoded data (with or without a route), rather than a URL
+ */
+function isLink(MakeSitesCompression, text) {
+    try {
+        new MakeSitesCompression().inspect(MakeSitesCompression.parseRoute(text).data);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Hand the vendored codec libraries to the library, and swap in Node's zlib where it
+ * has the codec. Codec names and ids stay the same, so the output is byte-compatible
+ * with the viewer.
+ */
+function registerNodeCodecs(MakeSitesCompression) {
+    const vendor = path.join(__dirname, '..', 'js', 'vendor');
+    MakeSitesCompression.use({
+        LZMA: require(path.join(vendor, 'lzma.min.js')).LZMA,
+        fzstd: require(path.join(vendor, 'fzstd.min.js'))
+    });
+
+    // zlib takes the preset dictionaries that the browser needs pako for
+    MakeSitesCompression.registerCodec({
+        ...MakeSitesCompression.getCodec('deflate-raw'),
+        canEncode: () => true,
+        canDecode: () => true,
+        supportsDictionary: () => true,
+        encode: (bytes, dictionary) => zlib.deflateRawSync(bytes, { level: 9, ...(dictionary && { dictionary }) }),
+        decode: (bytes, dictionary) => zlib.inflateRawSync(bytes, dictionary ? { dictionary } : {})
+    });
+
+    for (const dictionary of require('../js/dictionaries.js')) {
+        MakeSitesCompression.registerDictionary(dictionary);
+    }
+
+    MakeSitesCompression.registerCodec({
+        ...MakeSitesCompression.getCodec('br'),
+        canEncode: () => true,
+        canDecode: () => true,
+        encode: bytes => zlib.brotliCompressSync(bytes, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: bytes.length > 256 * 1024 ? 9 : 11,
+                [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: bytes.length
+            }
+        }),
+        decode: bytes => zlib.brotliDecompressSync(bytes)
+    });
+
+    // zlib gained zstd in Node 22.15 / 23.8; older versions decode with fzstd and can't encode
+    if (typeof zlib.zstdCompressSync === 'function') {
+        MakeSitesCompression.registerCodec({
+            ...MakeSitesCompression.getCodec('zstd'),
+            canEncode: () => true,
+            canDecode: () => true,
+            encode: bytes => zlib.zstdCompressSync(bytes, {
+                params: { [zlib.constants.ZSTD_c_compressionLevel]: 19 }
+            }),
+            decode: bytes => zlib.zstdDecompressSync(bytes)
+        });
+    }
+}
+
+/**
+ * Passphrase from --passphrase or the environment, so it can stay out of shell history
+ */
+function passphrase(args) {
+    return args.values.passphrase || process.env.MAKE_SITES_PASSPHRASE || undefined;
+}
+
+/**
+ * Load a key pair written by keygen; the public half is the JWK without its private part
+ */
+async function readSigningKey(file) {
+    const jwk = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (jwk.kty !== 'OKP' || jwk.crv !== 'Ed25519' || !jwk.d) {
+        throw new Error(`${file} is not an Ed25519 private key (create one with make-sites keygen)`);
+    }
+
+    const { subtle } = webcrypto;
+    return {
+        privateKey: await subtle.importKey('jwk', jwk, 'Ed25519', false, ['sign']),
+        publicKey: await subtle.importKey('jwk', { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, 'Ed25519', true, ['verify'])
+    };
+}
+
+/**
+ * List the files under a directory, relative to it, in a stable order
+ */
+async function listFiles(dir, prefix = '') {
+    const entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+        const relative = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(dir, relative));
+        } else {
+            files.push(relative);
+        }
+    }
+    return files;
+}
+
+/**
+ * Title of a page: its first Markdown heading or HTML <title>, else its name
+ */
+function pageTitle(content, format, name) {
+    const match = format === 'markdown' ? /^#\s+(.+)$/m.exec(content)
+        : format === 'html' ? /<title[^>]*>([^<]+)<\/title>/i.exec(content)
+        : null;
+    return match ? match[1].trim() : name;
+}
+
+/**
+ * Read a file to embed as an asset, with its type from the extension
+ */
+async function readAsset(file) {
+    return {
+        type: ASSET_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        data: new Uint8Array(await fs.promises.readFile(file))
+    };
+}
+
+/**
+ * Build a site bundle from a directory of pages and stylesheets; every other file
+ * is added to `assets` under its path in the directory
+ */
+async function readBundle(dir, assets) {
+    const MakeSitesBundle = require('../js/bundle.js');
+    const pages = [];
+    const styles = [];
+
+    for (const file of await listFiles(dir)) {
+        const extension = path.extname(file).toLowerCase();
+        const format = EXTENSION_FORMATS[extension];
+        const name = file.split(path.sep).join('/');
+
+        if (!format && extension !== '.css') {
+            assets.set(name, await readAsset(path.join(dir, file)));
+            continue;
+        }
+
+        const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+        if (extension === '.css') {
+            styles.push(content);
+            continue;
+        }
+
+        const pageName = name.slice(0, -extension.length);
+        pages.push({ name: pageName, title: pageTitle(content, format, pageName), format, content });
+    }
+
+    // The first page is the one the link opens
+    const home = pages.findIndex(page => /^(index|readme)$/i.test(page.name));
+    if (home > 0) {
+        pages.unshift(...pages.splice(home, 1));
+    }
+
+    return new MakeSitesBundle({ title: path.basename(path.resolve(dir)), css: styles.join('\n'), pages }).stringify();
+}
+
+/**
+ * --dictionary value as a compress option: a name, an id, or none
+ */
+function dictionaryOption(value) {
+    if (value === undefined) return undefined;
+    if (value === 'none') return false;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+async function encode(compression, args) {
+    const [file] = args.positionals;
+    const isDirectory = file && file !== '-' && (await fs.promises.stat(file)).isDirectory();
+    const assets = new Map();
+    const input = isDirectory ? await readBundle(file, assets) : (await readInput(file)).toString('utf8');
+    for (const asset of args.values.asset || []) {
+        assets.set(path.basename(asset), await readAsset(asset));
+    }
+    const extension = file && file !== '-' && !isDirectory ? path.extname(file).toLowerCase() : '';
+    const format = args.values.format
+        || (isDirectory && 'bundle')
+        || EXTENSION_FORMATS[extension]
+        || (extension && 'code')
+        || (args.values.language && 'code')
+        || 'text';
+
+    const fragment = await compression.compress(input, format, {
+        codec: args.values.codec,
+        timestamp: args.values.timestamp,
+        interactive: args.values.interactive,
+        passphrase: passphrase(args),
+        splitKey: args.values['split-key'],
+        signingKey: args.values.sign ? await readSigningKey(args.values.sign) : undefined,
+        assets,
+        dictionary: dictionaryOption(args.values.dictionary),
+        language: format === 'code' ? args.values.language : undefined,
+        filename: format === 'code' && extension ? path.basename(file) : undefined,
+        onWarning: message => process.stderr.write(`make-sites: warning: ${message}\n`)
+    });
+
+    const baseUrl = (args.values['base-url'] || DEFAULT_BASE_URL).replace(/#.*$/, '');
+    process.stdout.write((args.values.fragment ? fragment : `${baseUrl}#${fragment}`) + '\n');
+}
+
+async function decode(compression, MakeSitesCompression, args) {
+    const [source] = args.positionals;
+    if (!source) {
+        throw new Error('decode needs a URL, fragment or - for stdin');
+    }
+
+    const input = source === '-' ? (await readStdin()).toString('utf8') : source;
+    const { content, metadata } = await compression.decompress(extractFragment(MakeSitesCompression, input), {
+        passphrase: passphrase(args),
+        key: args.values.key
+    });
+
+    // On stderr so piping the content stays clean
+    if (metadata.signer) {
+        process.stderr.write(`make-sites: signature verified, signed by ${metadata.signer}\n`);
+    }
+
+    if (args.values.output) {
+        await fs.promises.writeFile(args.values.output, content);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+async function inspect(compression, MakeSitesCompression, args) {
+    const [source] = args.positionals;
+    if (!source) {
+        throw new Error('inspect needs a URL, fragment or - for stdin');
+    }
+
+    const input = source === '-' ? (await readStdin()).toString('utf8').trim() : source;
+    const fragment = extractFragment(MakeSitesCompression, input);
+    const { metadata, totalSize, headerSize, dataSize } = compression.inspect(fragment);
+    const codec = MakeSitesCompression.getCodec(metadata.c);
+
+    const report = {
+        metadata,
+        codec: codec ? codec.label : 'unknown',
+        sizes: {
+            url: input.trim().length,
+            fragment: fragment.length,
+            payload: totalSize,
+            header: headerSize,
+            data: dataSize,
+            original: metadata.os
+        }
+    };
+
+    if (args.values.json) {
+        // Byte fields (iv, salt, ...) as hex rather than index-keyed objects
+        const hex = (key, value) => (value instanceof Uint8Array ? Buffer.from(value).toString('hex') : value);
+        process.stdout.write(JSON.stringify(report, hex, 2) + '\n');
+        return;
+    }
+
+    const bytes = value => (value === undefined ? 'unknown' : `${value.toLocaleString()} bytes`);
+    const lines = [
+        ['Version', metadata.v],
+        ['Codec', `${metadata.c} (${report.codec})`],
+        ['Format', metadata.f],
+        ['Original', bytes(metadata.os)],
+        ['Compressed', bytes(dataSize)],
+        ['Header', bytes(headerSize)],
+        ['Payload', `${bytes(totalSize)} -> ${fragment.length.toLocaleString()} fragment chars`],
+        ['URL', `${report.sizes.url.toLocaleString()} chars`],
+        ['Link id', await MakeSitesCompression.linkId(fragment)]
+    ];
+    if (metadata.r !== undefined) {
+        lines.push(['Saved', `${metadata.r}%`]);
+    }
+    if (metadata.ts !== undefined) {
+        lines.push(['Created', new Date(metadata.ts).toISOString()]);
+    }
+    if (metadata.e === MakeSitesCompression.ENCRYPTION_PASSPHRASE) {
+        lines.push(['Encryption', `AES-GCM, passphrase (PBKDF2-SHA256, ${metadata.it.toLocaleString()} iterations)`]);
+    } else if (metadata.e === MakeSitesCompression.ENCRYPTION_SPLIT_KEY) {
+        const hasKey = fragment.includes(MakeSitesCompression.KEY_SEPARATOR);
+        lines.push(['Encryption', `AES-GCM, split key (${hasKey ? 'included in this link' : 'not in this link'})`]);
+    }
+    if (metadata.fn !== undefined) {
+        lines.push(['File', metadata.fn]);
+    }
+    if (metadata.lg !== undefined) {
+        lines.push(['Language', metadata.lg]);
+    }
+    if (metadata.sb !== undefined) {
+        lines.push(['Sandbox', metadata.sb === 1 ? 'interactive (scripts run)' : 'strict']);
+    }
+    if (metadata.d !== undefined) {
+        const dictionary = MakeSitesCompression.getDictionary(metadata.d);
+        lines.push(['Dictionary', dictionary ? `${dictionary.name} (id ${metadata.d})` : `unknown (id ${metadata.d})`]);
+    }
+    if (metadata.as !== undefined) {
+        lines.push(['Assets', `${metadata.as} embedded file${metadata.as === 1 ? '' : 's'}`]);
+    }
+    if (metadata.h !== undefined) {
+        lines.push(['Checksum', `SHA-256 ${Buffer.from(metadata.h).toString('hex')}`]);
+    }
+    if (metadata.fk !== undefined) {
+        lines.push(['Forked from', `link ${MakeSitesCompression.formatDigest(metadata.fk)}`]);
+    }
+    if (metadata.pk !== undefined) {
+        // inspect only reads the header; decode is what verifies the signature
+        lines.push(['Signed by', `${await MakeSitesCompression.fingerprint(metadata.pk)} (not verified, run decode)`]);
+    }
+
+    // Anything else in the header (fields added by newer versions)
+    const shown = new Set(['v', 'c', 'f', 'os', 'cs', 'r', 'ts', 'sb', 'e', 'iv', 'salt', 'it', 'h', 'pk', 'sig', 'as', 'd', 'lg', 'fn', 'fk']);
+    for (const [key, value] of Object.entries(metadata)) {
+        if (!shown.has(key)) {
+            lines.push([key, value instanceof Uint8Array ? Buffer.from(value).toString('hex') : String(value)]);
+        }
+    }
+
+    for (const [label, value] of lines) {
+        process.stdout.write(`${(label + ':').padEnd(12)}${value}\n`);
+    }
+}
+
+async function keygen(MakeSitesCompression, args) {
+    const [file] = args.positionals;
+    if (!file) {
+        throw new Error('keygen needs a file to write the key to');
+    }
+
+    const { privateKey, publicKey } = await MakeSitesCompression.generateSigningKey();
+    const jwk = await webcrypto.subtle.exportKey('jwk', privateKey);
+
+    // The private key only needs to be readable by its owner
+    await fs.promises.writeFile(file, JSON.stringify(jwk, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+    process.stdout.write(`${await MakeSitesCompression.fingerprint(publicKey)}\n`);
+}
+
+async function main(argv) {
+    const args = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f' },
+            language: { type: 'string', short: 'l' },
+            codec: { type: 'string', short: 'c' },
+            dictionary: { type: 'string' },
+            'base-url': { type: 'string', short: 'b' },
+            fragment: { type: 'boolean' },
+            timestamp: { type: 'boolean' },
+            interactive: { type: 'boolean' },
+            passphrase: { type: 'string', short: 'p' },
+            'split-key': { type: 'boolean' },
+            key: { type: 'string', short: 'k' },
+            sign: { type: 'string', short: 's' },
+            asset: { type: 'string', short: 'a', multiple: true },
+            output: { type: 'string', short: 'o' },
+            json: { type: 'boolean' },
+            verbose: { type: 'boolean', short: 'v' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const command = args.positionals.shift();
+    if (args.values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    // The library logs progress and stack traces to the console; keep stdout clean for
+    // the output and report failures once, below
+    const log = args.values.verbose ? console.error.bind(console) : () => {};
+    console.log = log;
+    console.warn = log;
+    console.error = log;
+
+    // Node 18 only has Web Crypto on the crypto module, not as a global
+    if (typeof globalThis.crypto === 'undefined') {
+        globalThis.crypto = webcrypto;
+    }
+
+    const MakeSitesCompression = require('../js/compression.js');
+    registerNodeCodecs(MakeSitesCompression);
+    const compression = new MakeSitesCompression();
+
+    switch (command) {
+        case 'encode':
+            return encode(compression, args);
+        case 'decode':
+            return decode(compression, MakeSitesCompression, args);
+        case 'inspect':
+            return inspect(compression, MakeSitesCompression, args);
+        case 'keygen':
+            return keygen(MakeSitesCompression, args);
+        default:
+            throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    process.stderr.write(`make-sites: ${error.message}\n`);
+    process.exitCode = 1;
+});
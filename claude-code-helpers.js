@@ -6,26 +6,43 @@
  */
 
 /**
- * Basic helper function to create make-sites URLs
- * @param {string} content - Content to compress and share
- * @param {string} format - Content format ('html', 'markdown', 'json', 'text')
- * @returns {Promise<string>} The shareable make-sites URL
+ * Load the compression library, plus pako and the preset dictionaries that let the
+ * templates below compress to a few bytes (browsers can't use dictionaries without pako)
+ * @returns {Promise<void>}
  */
-async function createMakeSiteURL(content, format = 'html') {
-    // Dynamically load the compression library
-    if (!window.MakeSitesCompression) {
+async function loadMakeSitesLibrary() {
+    if (window.MakeSitesCompression) return;
+    
+    const scripts = [
+        'https://smeltserMake.github.io/make-sites/js/vendor/pako.min.js',
+        'https://smeltserMake.github.io/make-sites/js/compression.js',
+        'https://smeltserMake.github.io/make-sites/js/dictionaries.js'
+    ];
+    for (const src of scripts) {
         const script = document.createElement('script');
-        script.src = 'https://smeltserMake.github.io/make-sites/js/compression.js';
+        script.src = src;
         await new Promise((resolve, reject) => {
             script.onload = resolve;
             script.onerror = reject;
             document.head.appendChild(script);
         });
     }
+}
+
+/**
+ * Basic helper function to create make-sites URLs
+ * @param {string} content - Content to compress and share
+ * @param {string} format - Content format ('html', 'markdown', 'json', 'text')
+ * @param {object} options - Compression options, e.g. { assets } (optional)
+ * @returns {Promise<string>} The shareable make-sites URL
+ */
+async function createMakeSiteURL(content, format = 'html', options = {}) {
+    // Dynamically load the compression library
+    await loadMakeSitesLibrary();
     
     // Compress the content
     const compression = new window.MakeSitesCompression();
-    const compressed = await compression.compress(content, format);
+    const compressed = await compression.compress(content, format, options);
     
     // Generate the URL
     const baseUrl = 'https://smeltserMake.github.io/make-sites#';
@@ -41,15 +58,7 @@ async function createMakeSiteURL(content, format = 'html') {
  */
 async function createMakeSiteURLWithStats(content, format = 'html', showStats = true) {
     // Load compression library if needed
-    if (!window.MakeSitesCompression) {
-        const script = document.createElement('script');
-        script.src = 'https://smeltserMake.github.io/make-sites/js/compression.js';
-        await new Promise((resolve, reject) => {
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    }
+    await loadMakeSitesLibrary();
     
     const compression = new window.MakeSitesCompression();
     const compressed = await compression.compress(content, format);
@@ -63,7 +72,7 @@ async function createMakeSiteURLWithStats(content, format = 'html', showStats =
         console.log(`   Original Size: ${stats.readable.original}`);
         console.log(`   Compressed Size: ${stats.readable.compressed}`);
         console.log(`   Space Saved: ${stats.readable.saved} (${stats.ratio}%)`);
-        console.log(`   Method: ${compression.supportsBrotli ? 'Brotli' : 'Gzip'}`);
+        console.log(`   Method: ${window.MakeSitesCompression.getCodec(stats.method).label}`);
         console.log(`🔗 Shareable URL: ${url}`);
         console.log(`📏 URL Length: ${url.length} characters`);
     }
@@ -76,9 +85,11 @@ async function createMakeSiteURLWithStats(content, format = 'html', showStats =
  * @param {string} title - Page title
  * @param {string} content - HTML content (without html/head/body tags)
  * @param {string} customCSS - Additional CSS styling (optional)
+ * @param {object} assets - Images and fonts by name, e.g. { 'logo.png': file }, used in the
+ *   content and CSS as asset:logo.png (optional)
  * @returns {Promise<string>} The shareable make-sites URL
  */
-async function createStyledHTMLSite(title, content, customCSS = '') {
+async function createStyledHTMLSite(title, content, customCSS = '', assets = {}) {
     const defaultCSS = `
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -142,7 +153,7 @@ async function createStyledHTMLSite(title, content, customCSS = '') {
 </body>
 </html>`;
     
-    return await createMakeSiteURL(html, 'html');
+    return await createMakeSiteURL(html, 'html', { assets });
 }
 
 /**
@@ -0,0 +1,126 @@
+/**
+ * Multi-page site bundles for make-sites
+ * A bundle is one JSON document holding named pages and shared CSS, stored in a
+ * single link with the 'bundle' format. The viewer routes `#<data>/<page>` and
+ * `page:<name>` links between its pages without decoding the link again.
+ *
+ *   {
+ *     "title": "Team handbook",
+ *     "css": "h1 { color: teal; }",
+ *     "pages": [
+ *       { "name": "index", "title": "Welcome", "format": "markdown", "content": "# Welcome ..." },
+ *       { "name": "setup", "format": "markdown", "content": "..." }
+ *     ]
+ *   }
+ *
+ * The first page is the one a link without a page name opens, and the page order is
+ * the order of the generated navigation.
+ */
+
+class MakeSitesBundle {
+    /**
+     * @param {object} bundle - Bundle contents (see the file comment)
+     * @param {string} [bundle.title] - Site title, shown above the navigation
+     * @param {string} [bundle.css] - Stylesheet shared by every page
+     * @param {Array<{name: string, title?: string, format?: string, content: string}>} bundle.pages - Pages, in navigation order
+     */
+    constructor({ title = '', css = '', pages } = {}) {
+        if (!Array.isArray(pages) || pages.length === 0) {
+            throw new Error('A bundle needs at least one page');
+        }
+
+        this.title = String(title);
+        this.css = String(css);
+        this.pages = pages.map(page => MakeSitesBundle._normalizePage(page));
+
+        const names = new Set();
+        for (const { name } of this.pages) {
+            if (names.has(name)) {
+                throw new Error(`Duplicate page name in bundle: ${name}`);
+            }
+            names.add(name);
+        }
+    }
+
+    /**
+     * Read a bundle from its JSON text (the decompressed content of a 'bundle' link)
+     * @param {string} content - Bundle JSON
+     * @returns {MakeSitesBundle} Parsed and checked bundle
+     */
+    static parse(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid bundle: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid bundle: expected a JSON object');
+        }
+        return new MakeSitesBundle(data);
+    }
+
+    /**
+     * Serialize to the compact JSON that goes into a link
+     * @returns {string} Bundle JSON
+     */
+    stringify() {
+        const data = { pages: this.pages };
+        if (this.title) data.title = this.title;
+        if (this.css) data.css = this.css;
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Look up a page by name; no name means the first page
+     * @param {string} [name] - Page name
+     * @returns {object|null} Page, or null when the bundle has no such page
+     */
+    getPage(name) {
+        if (!name) return this.pages[0];
+        return this.pages.find(page => page.name === name) || null;
+    }
+
+    /**
+     * Check a page and fill in its defaults
+     * @private
+     */
+    static _normalizePage(page) {
+        if (!page || typeof page !== 'object') {
+            throw new Error('Invalid bundle: every page must be an object');
+        }
+
+        const name = String(page.name || '');
+        if (!MakeSitesBundle.PAGE_NAME.test(name)) {
+            throw new Error(`Invalid page name "${name}": use letters, digits, - and _, with / between parts`);
+        }
+
+        const format = page.format || 'markdown';
+        if (format === 'bundle') {
+            throw new Error(`Page ${name} can't be a bundle itself`);
+        }
+        if (typeof page.content !== 'string') {
+            throw new Error(`Page ${name} has no content`);
+        }
+
+        return { name, title: String(page.title || name), format, content: page.content };
+    }
+}
+
+/**
+ * Page names as they appear in links: `#<data>/guides/setup`, `page:guides/setup`
+ */
+MakeSitesBundle.PAGE_NAME = /^[\w-]+(\/[\w-]+)*$/;
+
+/**
+ * Scheme for links between pages of a bundle
+ */
+MakeSitesBundle.LINK_SCHEME = 'page:';
+
+// Export for module systems and as a global, like compression.js (the CLI builds bundles)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MakeSitesBundle;
+    module.exports.MakeSitesBundle = MakeSitesBundle;
+} else if (typeof globalThis !== 'undefined') {
+    globalThis.MakeSitesBundle = MakeSitesBundle;
+}
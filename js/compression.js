@@ -1,116 +1,884 @@
 /**
  * Modern compression utilities for make-sites
- * Uses Pako library for reliable gzip compression/decompression
+ * Codecs live in a registry (see MakeSitesCompression.registerCodec) so new
+ * algorithms can be added without touching compress/decompress.
  */
 
 class MakeSitesCompression {
     constructor() {
-        this.supportsPako = typeof pako !== 'undefined';
-        console.log('MakeSitesCompression initialized, Pako available:', this.supportsPako);
+        this.passphraseKey = null; // { passphrase, salt, iterations, key } of the last passphrase encrypted with
+        const available = MakeSitesCompression.listCodecs()
+            .filter(codec => codec.canDecode())
+            .map(codec => codec.name);
+        console.log('MakeSitesCompression initialized, codecs available:', available.join(', '));
     }
 
     /**
-     * Compress content using gzip via Pako
+     * Register a compression codec. Registering a name twice replaces the earlier codec.
+     * @param {object} codec - Codec definition
+     * @param {string} codec.name - Identifier used in metadata (`c` field)
+     * @param {number} codec.id - Byte (0-255) identifying the codec in the v2 header
+     * @param {string} codec.label - Human readable name
+     * @param {string[]} [codec.aliases] - Other identifiers accepted when decoding
+     * @param {function(): boolean} codec.canEncode - Whether encoding works in this environment
+     * @param {function(): boolean} codec.canDecode - Whether decoding works in this environment
+     * @param {function(Uint8Array, Uint8Array=): (Uint8Array|Promise<Uint8Array>)} codec.encode - Compress
+     *   bytes, with a preset dictionary as the second argument when supportsDictionary() is true
+     * @param {function(Uint8Array, Uint8Array=): (Uint8Array|Promise<Uint8Array>)} codec.decode - Decompress bytes
+     * @param {function(): boolean} [codec.supportsDictionary] - Whether encode/decode take a dictionary here
+     * @param {number} [codec.maxEncodeSize] - Inputs larger than this (bytes) are skipped by compressBest
+     */
+    static registerCodec(codec) {
+        if (!codec || !codec.name || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+            throw new Error('Invalid codec: name, encode and decode are required');
+        }
+        if (!Number.isInteger(codec.id) || codec.id < 0 || codec.id > 255) {
+            throw new Error(`Invalid codec ${codec.name}: id must be an integer from 0 to 255`);
+        }
+        const clash = MakeSitesCompression.listCodecs().find(other => other.id === codec.id && other.name !== codec.name);
+        if (clash) {
+            throw new Error(`Invalid codec ${codec.name}: id ${codec.id} is already used by ${clash.name}`);
+        }
+        MakeSitesCompression.codecs.set(codec.name, {
+            label: codec.name,
+            aliases: [],
+            maxEncodeSize: Infinity,
+            canEncode: () => true,
+            canDecode: () => true,
+            supportsDictionary: () => false,
+            ...codec
+        });
+    }
+
+    /**
+     * Register a preset compression dictionary (see js/dictionaries.js). Links made with
+     * it store its id, so its bytes must never change once links exist.
+     * @param {object} dictionary - Dictionary definition
+     * @param {number} dictionary.id - Id stored in the header (`d` field), 1 or more
+     * @param {string} dictionary.name - Human readable name, e.g. 'templates-v1'
+     * @param {string} dictionary.text - Dictionary contents
+     * @param {string[]} [dictionary.formats] - Formats compress tries it for (default: all)
+     */
+    static registerDictionary(dictionary) {
+        if (!dictionary || !Number.isInteger(dictionary.id) || dictionary.id < 1 || typeof dictionary.text !== 'string') {
+            throw new Error('Invalid dictionary: a positive integer id and text are required');
+        }
+        MakeSitesCompression.dictionaries.set(dictionary.id, {
+            name: `dictionary-${dictionary.id}`,
+            formats: null,
+            ...dictionary,
+            data: new TextEncoder().encode(dictionary.text)
+        });
+    }
+
+    /**
+     * Look up a registered dictionary by id or name
+     * @param {number|string} idOrName - Dictionary id or name
+     * @returns {object|null} Dictionary definition
+     */
+    static getDictionary(idOrName) {
+        if (MakeSitesCompression.dictionaries.has(idOrName)) {
+            return MakeSitesCompression.dictionaries.get(idOrName);
+        }
+        return MakeSitesCompression.listDictionaries().find(dictionary => dictionary.name === idOrName) || null;
+    }
+
+    /**
+     * List all registered dictionaries
+     * @returns {object[]} Dictionary definitions
+     */
+    static listDictionaries() {
+        return Array.from(MakeSitesCompression.dictionaries.values());
+    }
+
+    /**
+     * Look up a registered codec by name or alias
+     * @param {string} name - Codec name
+     * @returns {object|null} Codec definition
+     */
+    static getCodec(name) {
+        if (MakeSitesCompression.codecs.has(name)) {
+            return MakeSitesCompression.codecs.get(name);
+        }
+        for (const codec of MakeSitesCompression.codecs.values()) {
+            if (codec.aliases.includes(name)) return codec;
+        }
+        return null;
+    }
+
+    /**
+     * List all registered codecs in registration order
+     * @returns {object[]} Codec definitions
+     */
+    static listCodecs() {
+        return Array.from(MakeSitesCompression.codecs.values());
+    }
+
+    /**
+     * Provide the third-party codec libraries explicitly, for module consumers
+     * where they aren't script-tag globals. Libraries passed here win over globals.
+     * @param {object} libraries - Any of pako, BrotliEncode, BrotliDecode, LZMA, fzstd
+     * @example MakeSitesCompression.use({ pako, fzstd })
+     */
+    static use(libraries) {
+        Object.assign(MakeSitesCompression.libraries, libraries);
+        return MakeSitesCompression;
+    }
+
+    /**
+     * Resolve a codec library: one passed to use(), else a global from a script tag
+     * @private
+     */
+    static _library(name) {
+        if (MakeSitesCompression.libraries[name] !== undefined) {
+            return MakeSitesCompression.libraries[name];
+        }
+        return typeof globalThis !== 'undefined' ? globalThis[name] : undefined;
+    }
+
+    /**
+     * Compress content. Without an explicit codec this is the same as compressBest.
      * @param {string} content - Content to compress
-     * @param {string} format - Content format hint ('html', 'markdown', 'json', 'text')
-     * @returns {Promise<string>} Base64 encoded compressed data with metadata
+     * @param {string} format - Content format hint ('html', 'markdown', 'json', 'text', 'bundle', 'csv', 'tsv', 'yaml', 'toml', 'code', 'diff')
+     * @param {object} [options] - Options
+     * @param {string} [options.codec] - Codec to use instead of picking the smallest
+     * @param {boolean} [options.timestamp] - Record the creation time in the header
+     * @param {boolean} [options.interactive] - Let HTML content run scripts in the viewer's sandbox
+     * @param {string} [options.passphrase] - Encrypt with a key derived from this passphrase
+     * @param {boolean} [options.splitKey] - Encrypt with a random key, appended as a second
+     *   fragment segment (`<data>.<key>`) so the link and the key can travel separately
+     * @param {{privateKey: CryptoKey, publicKey: CryptoKey}} [options.signingKey] - Ed25519 key pair
+     *   to sign with; the public key goes in the header so readers can check it
+     * @param {Map<string, {type: string, data: Uint8Array|ArrayBuffer|Blob}>|object} [options.assets] - Images,
+     *   fonts and other files by name, referenced from the content as `asset:<name>`
+     * @param {function(string)} [options.onWarning] - Receives warnings such as an asset taking
+     *   up most of the URL budget (default: console.warn)
+     * @param {number|string|boolean} [options.dictionary] - Preset dictionary id or name to use;
+     *   false for none. By default every dictionary registered for the format is tried.
+     * @param {string} [options.language] - Language of 'code' content, e.g. 'python'
+     * @param {string} [options.filename] - File name of 'code' content, shown by the viewer and
+     *   used to pick the language when none is given
+     * @param {string} [options.forkedFrom] - Link (fragment data) the content was edited from;
+     *   its id goes in the header so readers can trace the edit back
+     * @returns {Promise<string>} Base64url encoded compressed data with metadata
      */
-    async compress(content, format = 'html') {
+    async compress(content, format = 'html', options = {}) {
+        if (!options.codec) {
+            return this.compressBest(content, format, options);
+        }
+
         try {
-            console.log('Starting compression for', content.length, 'characters');
-            
-            if (this.supportsPako) {
-                // Use Pako for gzip compression
-                const compressed = pako.gzip(content);
-                const metadata = this._createMetadata(content, compressed, 'gz', format);
-                const result = this._encodeWithMetadata(compressed, metadata);
-                
-                console.log('Compression successful:', {
-                    original: content.length,
-                    compressed: compressed.length,
-                    ratio: metadata.r + '%'
-                });
-                
-                return result;
-            }
-
-            // Fallback to no compression
-            const encoded = new TextEncoder().encode(content);
-            const metadata = this._createMetadata(content, encoded, 'none', format);
-            return this._encodeWithMetadata(encoded, metadata);
+            const payload = await this._packAssets(new TextEncoder().encode(content), options.assets);
+            options = await this._prepareOptions(options, payload.bytes);
+            const codec = MakeSitesCompression.getCodec(options.codec);
+            if (!codec) {
+                throw new Error(`Unknown compression type: ${options.codec}`);
+            }
+            if (!codec.canEncode()) {
+                throw new Error(`${codec.label} encoder not available`);
+            }
+
+            // Same choice as compressBest, over this codec's dictionary variants only
+            const candidates = [];
+            for (const dictionary of this._dictionariesFor(codec, format, options)) {
+                candidates.push(await this._compressWith(codec, payload, format, { ...options, dictionary }));
+            }
+            const { metadata, result } = candidates.reduce((a, b) => (b.result.length < a.result.length ? b : a));
+            this._checkAssetBudget(payload, metadata, options);
+            return result;
 
         } catch (error) {
             console.error('Compression failed:', error);
-            throw new Error('Failed to compress content');
+            throw new Error('Failed to compress content: ' + error.message);
         }
     }
 
+    /**
+     * Compress content with every registered codec that can encode here and keep the shortest result
+     * @param {string} content - Content to compress
+     * @param {string} format - Content format hint ('html', 'markdown', 'json', 'text', 'bundle', 'csv', 'tsv', 'yaml', 'toml', 'code', 'diff')
+     * @param {object} [options] - Same options as compress (codec is ignored)
+     * @returns {Promise<string>} Base64url encoded compressed data with metadata
+     */
+    async compressBest(content, format = 'html', options = {}) {
+        console.log('Starting compression for', content.length, 'characters');
+
+        // Keys and checksums once; every candidate is sealed with the same key under its own IV
+        const payload = await this._packAssets(new TextEncoder().encode(content), options.assets);
+        const { bytes } = payload;
+        options = await this._prepareOptions(options, bytes);
+        const candidates = [];
+
+        for (const codec of MakeSitesCompression.listCodecs()) {
+            if (!codec.canEncode()) continue;
+            if (bytes.length > codec.maxEncodeSize) {
+                console.log(`Skipping ${codec.label}: input exceeds ${this._formatBytes(codec.maxEncodeSize)}`);
+                continue;
+            }
+            try {
+                for (const dictionary of this._dictionariesFor(codec, format, options)) {
+                    candidates.push(await this._compressWith(codec, payload, format, { ...options, dictionary }));
+                }
+            } catch (error) {
+                // One failing codec (e.g. the emscripten Brotli heap on huge inputs) shouldn't fail the rest
+                console.warn(`${codec.label} encoding failed, skipping:`, error);
+            }
+        }
+
+        if (candidates.length === 0) {
+            throw new Error('Failed to compress content: no codec could encode it');
+        }
+
+        const best = candidates.reduce((a, b) => (b.result.length < a.result.length ? b : a));
+
+        console.log('Compression successful:', {
+            method: best.metadata.c,
+            original: bytes.length,
+            compressed: best.metadata.cs,
+            ratio: best.metadata.r + '%',
+            tried: candidates.map(candidate => `${candidate.metadata.c}${candidate.metadata.d ? '+d' + candidate.metadata.d : ''}=${candidate.result.length}`).join(' ')
+        });
+
+        this._checkAssetBudget(payload, best.metadata, options);
+        return best.result;
+    }
+
     /**
      * Decompress content from base64 encoded data
-     * @param {string} encodedData - Base64 encoded compressed data with metadata
-     * @returns {Promise<{content: string, metadata: object}>} Decompressed content and metadata
+     * @param {string} encodedData - Base64 or base64url encoded compressed data with metadata,
+     *   optionally followed by `.<key>` for split-key links
+     * @param {object} [options] - Options
+     * @param {string} [options.passphrase] - Passphrase for encrypted content (metadata.e === 1)
+     * @param {string} [options.key] - Key for split-key content when it isn't in encodedData
+     * @returns {Promise<{content: string, metadata: object, assets: Map<string, {type: string, data: Uint8Array}>}>}
+     *   Decompressed content, metadata and embedded assets (empty when the link has none)
      */
-    async decompress(encodedData) {
+    async decompress(encodedData, options = {}) {
         try {
             console.log('Starting decompression...');
-            const { data, metadata } = this._decodeWithMetadata(encodedData);
+            const decoded = this._decodeWithMetadata(encodedData);
+            const { metadata } = decoded;
             
             console.log('Metadata parsed:', metadata);
+            
+            if (metadata.sig) {
+                await this._verifySignature(decoded);
+            }
+            
+            const data = metadata.e ? await this._decrypt(decoded, options) : decoded.data;
+
+            const codec = MakeSitesCompression.getCodec(metadata.c);
+            if (!codec) {
+                throw new Error(`Unsupported compression type: ${metadata.c}`);
+            }
+            if (!codec.canDecode()) {
+                throw new Error(`${codec.label} decoder not available`);
+            }
+
+            const dictionary = metadata.d ? this._dictionaryFor(codec, metadata.d) : undefined;
+
+            console.log(`Decompressing ${codec.label} data...`);
+            const decompressed = metadata.as ? await this._decodeWithAssets(codec, data, dictionary) : await codec.decode(data, dictionary);
+            await this._verifyIntegrity(decompressed, metadata);
+            const unpacked = metadata.as ? this._unpackAssets(decompressed) : { bytes: decompressed, assets: new Map() };
+            const content = new TextDecoder().decode(unpacked.bytes);
+            
+            console.log('Decompression successful, content length:', content.length);
+            return { content, metadata, assets: unpacked.assets };
+            
+        } catch (error) {
+            console.error('Decompression failed:', error);
+            const wrapped = new Error('Failed to decompress content: ' + error.message);
+            wrapped.code = error.code;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Run one codec over a packed payload (from _packAssets) and wrap the result with metadata
+     * @private
+     */
+    async _compressWith(codec, payload, format, options = {}) {
+        const { bytes, stored, assetCount } = payload;
+        const dictionary = options.dictionary ? options.dictionary.data : undefined;
+        let compressed;
+        
+        if (assetCount) {
+            // [varint length][codec output][stored assets]: already-compressed files skip the codec
+            const body = await codec.encode(bytes.subarray(0, bytes.length - stored), dictionary);
+            const length = [];
+            this._writeVarint(length, body.length);
+            compressed = this._concat(new Uint8Array(length), body, bytes.subarray(bytes.length - stored));
+        } else {
+            compressed = await codec.encode(bytes, dictionary);
+        }
+        
+        const metadata = this._createMetadata(bytes, compressed, codec.name, format, { ...options, assetCount });
+        
+        if (options.encryption || options.signer) {
+            return { metadata, result: await this._sealWithMetadata(compressed, metadata, options) };
+        }
+        return { metadata, result: this._encodeWithMetadata(compressed, metadata) };
+    }
+
+    /**
+     * Dictionaries to try with a codec: null (none) plus, when the codec takes them here,
+     * the one options.dictionary names or every dictionary registered for the format
+     * @private
+     */
+    _dictionariesFor(codec, format, options) {
+        if (options.dictionary === false) {
+            return [null];
+        }
+        if (options.dictionary !== undefined && options.dictionary !== true) {
+            const dictionary = MakeSitesCompression.getDictionary(options.dictionary);
+            if (!dictionary) {
+                throw new Error(`Unknown dictionary: ${options.dictionary}`);
+            }
+            return codec.supportsDictionary() ? [dictionary] : [null];
+        }
+        if (!codec.supportsDictionary()) {
+            return [null];
+        }
+        
+        const formatKey = MakeSitesCompression.FORMAT_ALIASES[format] || format;
+        return [null, ...MakeSitesCompression.listDictionaries()
+            .filter(dictionary => !dictionary.formats || dictionary.formats.includes(formatKey))];
+    }
+
+    /**
+     * The dictionary a link was compressed with, or an error saying why it can't be used
+     * @private
+     */
+    _dictionaryFor(codec, id) {
+        const dictionary = MakeSitesCompression.getDictionary(id);
+        if (!dictionary) {
+            throw new Error(`This link was compressed with dictionary ${id}, which this version of make-sites doesn't have. ` +
+                'It was probably made with a newer version; open it in an up-to-date viewer.');
+        }
+        if (!codec.supportsDictionary()) {
+            throw new Error(`${codec.label} can't decompress with a dictionary in this environment (dictionary ${dictionary.name})`);
+        }
+        return dictionary.data;
+    }
+
+    /**
+     * Append the asset table to the content bytes. The packed layout is
+     * [varint content length][content][varint count][entries][inline assets][stored assets],
+     * each entry being [varint name length][name][varint type length][type][varint mode][varint n]:
+     * mode 0 is an asset compressed with the content and 1 one stored as is (n is its length),
+     * mode 2 repeats the bytes of entry n, so a file used under two names is only stored once.
+     * Stored assets are last so the codec can skip them (see _compressWith).
+     * @private
+     */
+    async _packAssets(bytes, assets) {
+        const entries = assets instanceof Map ? Array.from(assets) : Object.entries(assets || {});
+        if (entries.length === 0) {
+            return { bytes, stored: 0, assetCount: 0, assets: [] };
+        }
+        
+        const lengthPrefix = [];
+        this._writeVarint(lengthPrefix, bytes.length);
+        
+        const table = [];
+        this._writeVarint(table, entries.length);
+        const inline = [];
+        const stored = [];
+        const unique = []; // { data, index } of each asset whose bytes are in the payload
+        const report = []; // for _checkAssetBudget
+        
+        for (const [index, [name, asset]] of entries.entries()) {
+            if (!MakeSitesCompression.ASSET_NAME.test(name)) {
+                throw new Error(`Invalid asset name "${name}": use letters, digits, ., - and _, with / between parts`);
+            }
+            const data = await this._assetBytes(asset);
+            const type = (asset && asset.type) || 'application/octet-stream';
+            
+            for (const text of [name, type]) {
+                const encoded = new TextEncoder().encode(text);
+                this._writeVarint(table, encoded.length);
+                table.push(...encoded);
+            }
+            
+            const duplicate = unique.find(other => this._equalBytes(other.data, data));
+            if (duplicate) {
+                this._writeVarint(table, MakeSitesCompression.ASSET_DUPLICATE);
+                this._writeVarint(table, duplicate.index);
+                continue;
+            }
+            
+            const isStored = MakeSitesCompression.STORED_ASSET_TYPES.test(type);
+            this._writeVarint(table, isStored ? MakeSitesCompression.ASSET_STORED : MakeSitesCompression.ASSET_INLINE);
+            this._writeVarint(table, data.length);
+            (isStored ? stored : inline).push(data);
+            unique.push({ data, index });
+            report.push({ name, size: data.length, stored: isStored });
+        }
+        
+        return {
+            bytes: this._concat(new Uint8Array(lengthPrefix), bytes, new Uint8Array(table), ...inline, ...stored),
+            stored: stored.reduce((total, data) => total + data.length, 0),
+            assetCount: entries.length,
+            assets: report
+        };
+    }
+
+    /**
+     * Split a packed payload back into the content bytes and the assets by name
+     * @private
+     */
+    _unpackAssets(packed) {
+        const cursor = { offset: 0 };
+        const take = length => {
+            if (cursor.offset + length > packed.length) {
+                throw new Error('Asset table truncated');
+            }
+            const slice = packed.subarray(cursor.offset, cursor.offset + length);
+            cursor.offset += length;
+            return slice;
+        };
+        const readText = () => new TextDecoder().decode(take(this._readVarint(packed, cursor)));
+        
+        const bytes = take(this._readVarint(packed, cursor));
+        const count = this._readVarint(packed, cursor);
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            entries.push({ name: readText(), type: readText(), mode: this._readVarint(packed, cursor), n: this._readVarint(packed, cursor) });
+        }
+        
+        // Inline assets come first, then stored ones, each in table order
+        for (const mode of [MakeSitesCompression.ASSET_INLINE, MakeSitesCompression.ASSET_STORED]) {
+            for (const entry of entries) {
+                if (entry.mode === mode) {
+                    entry.data = take(entry.n);
+                }
+            }
+        }
+        
+        const assets = new Map();
+        for (const entry of entries) {
+            const source = entry.mode === MakeSitesCompression.ASSET_DUPLICATE ? entries[entry.n] : entry;
+            if (!source || !source.data) {
+                throw new Error(`Asset table entry ${entry.name} is invalid`);
+            }
+            assets.set(entry.name, { type: entry.type, data: source.data });
+        }
+        
+        return { bytes, assets };
+    }
+
+    /**
+     * Undo the [varint length][codec output][stored assets] framing of _compressWith
+     * @private
+     */
+    async _decodeWithAssets(codec, data, dictionary) {
+        const cursor = { offset: 0 };
+        const length = this._readVarint(data, cursor);
+        if (cursor.offset + length > data.length) {
+            throw new Error('Compressed data truncated');
+        }
+        const body = await codec.decode(data.subarray(cursor.offset, cursor.offset + length), dictionary);
+        return this._concat(new Uint8Array(body), data.subarray(cursor.offset + length));
+    }
+
+    /**
+     * Asset contents as bytes, from a Uint8Array, ArrayBuffer or Blob
+     * @private
+     */
+    async _assetBytes(asset) {
+        const data = asset && asset.data !== undefined ? asset.data : asset;
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (data && typeof data.arrayBuffer === 'function') return new Uint8Array(await data.arrayBuffer());
+        throw new Error('Asset data must be a Uint8Array, ArrayBuffer or Blob');
+    }
+
+    /**
+     * Warn about assets that use up a large part of the URL budget on their own. Their
+     * share of the link is estimated: stored assets count as is, inline ones at the
+     * compression ratio of everything compressed with the content.
+     * @private
+     */
+    _checkAssetBudget(payload, metadata, options) {
+        if (!payload.assetCount) return;
+        
+        const warn = options.onWarning || (message => console.warn(message));
+        const inlineRatio = (metadata.cs - payload.stored) / Math.max(1, metadata.os - payload.stored);
+        const limit = MakeSitesCompression.URL_BUDGET * MakeSitesCompression.ASSET_BUDGET_SHARE;
+        
+        for (const asset of payload.assets) {
+            // base64url turns every 3 bytes into 4 characters
+            const characters = Math.ceil((asset.stored ? asset.size : asset.size * inlineRatio) * 4 / 3);
+            if (characters > limit) {
+                const share = Math.round(characters / MakeSitesCompression.URL_BUDGET * 100);
+                warn(`Asset ${asset.name} adds about ${characters.toLocaleString()} characters to the link, ` +
+                    `${share}% of the ${MakeSitesCompression.URL_BUDGET.toLocaleString()}-character URL budget. ` +
+                    'A smaller or more compressed file would shorten the link considerably.');
+            }
+        }
+    }
+
+    /**
+     * Work out everything compress needs once per call rather than once per codec:
+     * the encryption key, the content checksum, the signer's public key and the id of
+     * the link forked from
+     * @private
+     */
+    async _prepareOptions(options, bytes) {
+        const prepared = { ...options, encryption: await this._prepareEncryption(options) };
+        
+        // Encrypted content is already authenticated by GCM, and a plaintext hash in
+        // the readable header would let anyone confirm a guess at the content
+        if (!prepared.encryption) {
+            if (MakeSitesCompression._hasSubtle()) {
+                prepared.checksum = await this._checksum(bytes);
+            } else {
+                console.warn('Web Crypto unavailable, writing the link without a checksum');
+            }
+        }
+        
+        if (options.signingKey) {
+            const publicKey = new Uint8Array(await MakeSitesCompression._subtle().exportKey('raw', options.signingKey.publicKey));
+            prepared.signer = { privateKey: options.signingKey.privateKey, publicKey };
+        }
+        
+        if (options.forkedFrom) {
+            prepared.fork = await MakeSitesCompression._linkDigest(options.forkedFrom);
+        }
+        
+        return prepared;
+    }
+
+    /**
+     * Resolve the passphrase/splitKey options into an AES-GCM key and the header
+     * fields describing it, or null when neither is set
+     * @private
+     */
+    async _prepareEncryption(options) {
+        if (!options.passphrase && !options.splitKey) {
+            return null;
+        }
+        
+        const subtle = MakeSitesCompression._subtle();
+        let encryption;
+        
+        if (options.passphrase) {
+            const { salt, iterations, key } = await this._passphraseKey(options.passphrase);
+            encryption = {
+                fields: { e: MakeSitesCompression.ENCRYPTION_PASSPHRASE, salt, it: iterations },
+                key
+            };
+        } else {
+            const rawKey = crypto.getRandomValues(new Uint8Array(32));
+            encryption = {
+                fields: { e: MakeSitesCompression.ENCRYPTION_SPLIT_KEY },
+                key: await subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']),
+                fragmentKey: this._toBase64Url(rawKey)
+            };
+        }
+        
+        return encryption;
+    }
+
+    /**
+     * Write the header, then encrypt and/or sign. For encryption the header is the
+     * AES-GCM additional authenticated data, so changing any of it (the sandbox mode,
+     * say) makes decryption fail rather than silently applying. The signature covers
+     * the payload and every header field but its own: the header is signed without a
+     * `sig` field, then written again with it in place (by id, so before `as`, `d`,
+     * `lg`, `fn` and `fk`), and readers cut just that field back out to check it. The
+     * fields after it are signed like the rest.
+     * @private
+     */
+    async _sealWithMetadata(compressed, metadata, options) {
+        const { encryption, signer } = options;
+        const subtle = MakeSitesCompression._subtle();
+        let payload = compressed;
+        
+        if (encryption) {
+            Object.assign(metadata, encryption.fields, { iv: crypto.getRandomValues(new Uint8Array(12)) });
+        }
+        if (signer) {
+            metadata.pk = signer.publicKey;
+        }
+        
+        let header = this._writeHeader(metadata);
+        
+        if (encryption) {
+            payload = new Uint8Array(await subtle.encrypt(
+                { name: 'AES-GCM', iv: metadata.iv, additionalData: header }, encryption.key, compressed));
+        }
+        if (signer) {
+            metadata.sig = new Uint8Array(await subtle.sign('Ed25519', signer.privateKey, this._concat(header, payload)));
+            header = this._writeHeader(metadata);
+        }
+        
+        const result = this._toBase64Url(this._concat(header, payload));
+        return encryption && encryption.fragmentKey
+            ? result + MakeSitesCompression.KEY_SEPARATOR + encryption.fragmentKey
+            : result;
+    }
+
+    /**
+     * Open AES-GCM sealed data from _decodeWithMetadata
+     * @private
+     */
+    async _decrypt({ data, metadata, signedHeader, key }, options) {
+        const subtle = MakeSitesCompression._subtle();
+        let cryptoKey;
+        
+        if (metadata.e === MakeSitesCompression.ENCRYPTION_PASSPHRASE) {
+            if (!options.passphrase) {
+                throw this._decryptionError('This content is encrypted and needs a passphrase');
+            }
+            cryptoKey = await this._deriveKey(options.passphrase, metadata.salt, metadata.it);
+        } else if (metadata.e === MakeSitesCompression.ENCRYPTION_SPLIT_KEY) {
+            if (!key && !options.key) {
+                throw this._decryptionError('This content is encrypted and needs its key');
+            }
+            try {
+                cryptoKey = await subtle.importKey('raw', key || this._fromBase64(options.key.trim()), 'AES-GCM', false, ['decrypt']);
+            } catch (error) {
+                throw this._decryptionError("That isn't a valid key");
+            }
+        } else {
+            throw new Error(`Unsupported encryption mode: ${metadata.e}`);
+        }
+        
+        try {
+            return new Uint8Array(await subtle.decrypt(
+                { name: 'AES-GCM', iv: metadata.iv, additionalData: signedHeader }, cryptoKey, data));
+        } catch (error) {
+            // GCM can't tell a wrong key from tampering; both fail authentication
+            throw this._decryptionError(metadata.e === MakeSitesCompression.ENCRYPTION_PASSPHRASE
+                ? 'Wrong passphrase, or the link was modified'
+                : 'Wrong key, or the link was modified');
+        }
+    }
+
+    /**
+     * Error for a missing or wrong passphrase or key, tagged so callers can ask again
+     * @private
+     */
+    _decryptionError(message) {
+        const error = new Error(message);
+        error.code = MakeSitesCompression.DECRYPTION_FAILED;
+        return error;
+    }
+
+    /**
+     * Key and salt to encrypt with under a passphrase. PBKDF2 takes a noticeable
+     * moment, so links made one after another under the same passphrase (the compress
+     * page remaking its link as you type) share the salt and key of the first; each
+     * still gets a fresh IV.
+     * @private
+     */
+    async _passphraseKey(passphrase) {
+        const iterations = MakeSitesCompression.PBKDF2_ITERATIONS;
+        const cached = this.passphraseKey;
+        if (cached && cached.passphrase === passphrase && cached.iterations === iterations) {
+            return { salt: cached.salt, iterations, key: await cached.key };
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = this._deriveKey(passphrase, salt, iterations);
+        this.passphraseKey = { passphrase, salt, iterations, key };
+        try {
+            return { salt, iterations, key: await key };
+        } catch (error) {
+            if (this.passphraseKey && this.passphraseKey.key === key) this.passphraseKey = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Derive an AES-256-GCM key from a passphrase with PBKDF2-SHA256
+     * @private
+     */
+    async _deriveKey(passphrase, salt, iterations) {
+        const subtle = MakeSitesCompression._subtle();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Truncated SHA-256 of the original content, stored in the `h` header field
+     * @private
+     */
+    async _checksum(bytes) {
+        const digest = await MakeSitesCompression._subtle().digest('SHA-256', bytes);
+        return new Uint8Array(digest, 0, MakeSitesCompression.CHECKSUM_LENGTH);
+    }
+
+    /**
+     * Check decompressed bytes against the size and checksum in the header
+     * @private
+     */
+    async _verifyIntegrity(bytes, metadata) {
+        // v1 links recorded the size in characters, not bytes, so only v2 sizes are exact
+        if (metadata.v >= 2 && metadata.os !== undefined && bytes.length !== metadata.os) {
+            throw new Error(`Integrity check failed: expected ${metadata.os} bytes of content, got ${bytes.length}. The link was changed or cut short`);
+        }
+        
+        if (!metadata.h) return;
+        
+        if (!MakeSitesCompression._hasSubtle()) {
+            console.warn('Web Crypto unavailable, skipping the checksum check');
+            return;
+        }
+        
+        const actual = await this._checksum(bytes);
+        if (actual.length !== metadata.h.length || actual.some((byte, i) => byte !== metadata.h[i])) {
+            throw new Error("Integrity check failed: the content doesn't match its checksum. The link was changed or cut short");
+        }
+    }
+
+    /**
+     * Verify the Ed25519 signature and record the signer's fingerprint in metadata.signer.
+     * A signature that doesn't match throws; one that can't be checked here (no Web
+     * Crypto, or no Ed25519 support) only leaves metadata.signer unset.
+     * @private
+     */
+    async _verifySignature({ data, metadata, signedHeader }) {
+        let valid;
+        try {
+            const subtle = MakeSitesCompression._subtle();
+            const publicKey = await subtle.importKey('raw', metadata.pk, 'Ed25519', false, ['verify']);
+            valid = await subtle.verify('Ed25519', publicKey, metadata.sig, this._concat(signedHeader, data));
+        } catch (error) {
+            console.warn('Could not check the signature in this browser:', error);
+            return;
+        }
+        
+        if (!valid) {
+            throw new Error('Signature check failed: the content was changed after it was signed');
+        }
+        metadata.signer = await MakeSitesCompression.fingerprint(metadata.pk);
+    }
+
+    /**
+     * Short, human-comparable fingerprint of an Ed25519 public key: the first 8 bytes
+     * of its SHA-256 in hex, grouped in fours (e.g. "3f9a 0c1e 77d2 a941")
+     * @param {Uint8Array|CryptoKey} publicKey - Raw 32-byte public key, or an extractable CryptoKey
+     * @returns {Promise<string>} Fingerprint
+     */
+    static async fingerprint(publicKey) {
+        const subtle = MakeSitesCompression._subtle();
+        const raw = publicKey instanceof Uint8Array ? publicKey : new Uint8Array(await subtle.exportKey('raw', publicKey));
+        const digest = new Uint8Array(await subtle.digest('SHA-256', raw));
+        return MakeSitesCompression.formatDigest(digest.subarray(0, 8));
+    }
+
+    /**
+     * Id of a link, as recorded in the `fk` field of links edited from it: the first
+     * bytes of the SHA-256 of its data, formatted like a fingerprint. A split key
+     * doesn't count, so the link has the same id with or without it.
+     * @param {string} link - Fragment data (`<data>` or `<data>.<key>`)
+     * @returns {Promise<string>} Link id
+     */
+    static async linkId(link) {
+        return MakeSitesCompression.formatDigest(await MakeSitesCompression._linkDigest(link));
+    }
+
+    /**
+     * Truncated SHA-256 of a link's data
+     * @private
+     */
+    static async _linkDigest(link) {
+        const [data] = link.split(MakeSitesCompression.KEY_SEPARATOR);
+        const digest = await MakeSitesCompression._subtle().digest('SHA-256', new TextEncoder().encode(data));
+        return new Uint8Array(digest, 0, MakeSitesCompression.CHECKSUM_LENGTH);
+    }
+
+    /**
+     * Bytes in hex, grouped in fours, the way fingerprints and link ids are shown
+     * @param {Uint8Array} bytes - Digest bytes
+     * @returns {string} e.g. "3f9a 0c1e 77d2 a941"
+     */
+    static formatDigest(bytes) {
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return hex.match(/.{1,4}/g).join(' ');
+    }
+
+    /**
+     * Create an Ed25519 key pair for options.signingKey
+     * @returns {Promise<CryptoKeyPair>} Key pair (extractable, so it can be saved)
+     */
+    static generateSigningKey() {
+        return MakeSitesCompression._subtle().generateKey('Ed25519', true, ['sign', 'verify']);
+    }
+
+    /**
+     * Join byte arrays
+     * @private
+     */
+    _concat(...parts) {
+        const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            combined.set(part, offset);
+            offset += part.length;
+        }
+        return combined;
+    }
+
+    /**
+     * Whether two byte arrays hold the same bytes
+     * @private
+     */
+    _equalBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether Web Crypto is available (browsers only expose it on secure pages)
+     * @private
+     */
+    static _hasSubtle() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
 
-            let content;
-            
-            if (metadata.c === 'gz' || metadata.c === 'gzip') {
-                // Handle gzip decompression with Pako
-                if (!this.supportsPako) {
-                    throw new Error('Pako library not available for gzip decompression');
-                }
-                
-                console.log('Decompressing gzip data with Pako...');
-                const decompressed = pako.ungzip(data, { to: 'string' });
-                content = decompressed;
-                
-            } else if (metadata.c === 'br') {
-                // Handle Brotli decompression using browser API
-                console.log('Decompressing Brotli data...');
-                if (!('DecompressionStream' in window)) {
-                    throw new Error('Browser does not support DecompressionStream for Brotli');
-                }
-                
-                const stream = new DecompressionStream('deflate-raw');
-                const decompressed = await this._streamDecompress(data, stream);
-                content = new TextDecoder().decode(decompressed);
-                
-            } else if (metadata.c === 'none') {
-                // No compression - just decode
-                console.log('No compression, decoding directly...');
-                content = new TextDecoder().decode(data);
-                
-            } else {
-                throw new Error(`Unsupported compression type: ${metadata.c}`);
-            }
-            
-            console.log('Decompression successful, content length:', content.length);
-            return { content, metadata };
-            
-        } catch (error) {
-            console.error('Decompression failed:', error);
-            throw new Error('Failed to decompress content: ' + error.message);
+    /**
+     * Web Crypto, which browsers only expose on secure (https or localhost) pages
+     * @private
+     */
+    static _subtle() {
+        if (!MakeSitesCompression._hasSubtle()) {
+            throw new Error('Encryption and signing need the Web Crypto API (serve the page over https)');
         }
+        return crypto.subtle;
     }
 
     /**
-     * Stream decompression helper for browser DecompressionStream API
+     * Pipe bytes through a CompressionStream/DecompressionStream and collect the output
      * @private
      */
-    async _streamDecompress(data, decompressionStream) {
-        const writer = decompressionStream.writable.getWriter();
-        const reader = decompressionStream.readable.getReader();
+    static async _transformStream(data, transformStream) {
+        const writer = transformStream.writable.getWriter();
+        const reader = transformStream.readable.getReader();
+        const chunkSize = MakeSitesCompression.STREAM_CHUNK_SIZE;
         
-        // Write compressed data
-        await writer.write(data);
-        await writer.close();
+        // Feed the input in chunks from a task we don't await yet, so backpressure
+        // is relieved by the read loop below instead of deadlocking on one huge write
+        const writing = (async () => {
+            for (let offset = 0; offset < data.length; offset += chunkSize) {
+                await writer.write(data.subarray(offset, offset + chunkSize));
+            }
+            await writer.close();
+        })();
+        writing.catch(() => {}); // errors surface through reader.read() as well
         
-        // Read decompressed data
+        // Read transformed data
         const chunks = [];
         let done = false;
         
@@ -132,81 +900,139 @@ class MakeSitesCompression {
             offset += chunk.length;
         }
         
+        await writing;
         return result;
     }
 
+    /**
+     * Whether the Compression Streams API supports a given format in this environment
+     * @private
+     */
+    static _supportsStream(kind, format) {
+        const cache = MakeSitesCompression._streamSupport || (MakeSitesCompression._streamSupport = new Map());
+        const key = `${kind}:${format}`;
+        if (cache.has(key)) return cache.get(key);
+        
+        const Stream = kind === 'compress'
+            ? (typeof CompressionStream !== 'undefined' ? CompressionStream : null)
+            : (typeof DecompressionStream !== 'undefined' ? DecompressionStream : null);
+        let supported = false;
+        if (Stream) {
+            try {
+                new Stream(format);
+                supported = true;
+            } catch (error) {
+                supported = false;
+            }
+        }
+        
+        cache.set(key, supported);
+        return supported;
+    }
+
     /**
      * Create metadata object
      * @private
      */
-    _createMetadata(original, compressed, compression, format) {
-        const originalSize = typeof original === 'string' ? original.length : original.byteLength;
+    _createMetadata(original, compressed, compression, format, options = {}) {
+        const originalSize = typeof original === 'string' ? new TextEncoder().encode(original).length : original.byteLength;
         const compressedSize = compressed.length || compressed.byteLength;
         
-        return {
-            v: 1, // version
+        const metadata = {
+            v: MakeSitesCompression.FORMAT_VERSION, // version
             c: compression, // compression type
             f: format, // format
-            os: originalSize, // original size
+            os: originalSize, // original size in bytes
             cs: compressedSize, // compressed size
-            r: Math.round((1 - compressedSize / originalSize) * 100), // compression ratio
-            ts: Date.now() // timestamp
+            r: Math.round((1 - compressedSize / originalSize) * 100) // compression ratio
         };
+        
+        if (options.timestamp) {
+            metadata.ts = Date.now(); // timestamp, only when asked for since it costs 6 bytes
+        }
+        
+        if (options.interactive) {
+            metadata.sb = 1; // HTML sandbox mode; absent means strict (no scripts)
+        }
+        
+        if (options.checksum) {
+            metadata.h = options.checksum; // truncated SHA-256 of the original bytes
+        }
+        
+        if (options.assetCount) {
+            metadata.as = options.assetCount; // number of embedded assets (see _packAssets)
+        }
+        
+        if (options.dictionary) {
+            metadata.d = options.dictionary.id; // preset dictionary the codec used
+        }
+        
+        if (options.language) {
+            metadata.lg = String(options.language); // source language of code content
+        }
+        
+        if (options.filename) {
+            metadata.fn = String(options.filename); // file name of code content
+        }
+        
+        if (options.fork) {
+            metadata.fk = options.fork; // id of the link this content was edited from
+        }
+        
+        return metadata;
     }
 
     /**
-     * Encode data with metadata - Compatible with existing format
+     * Encode data with a v2 binary header:
+     * [version][codec id][format id][optional fields...][0x00][data]
      * @private
      */
     _encodeWithMetadata(data, metadata) {
-        const metadataStr = JSON.stringify(metadata);
-        const metadataBytes = new TextEncoder().encode(metadataStr);
+        const header = this._writeHeader(metadata);
         
-        // Create length prefix (4 bytes, little-endian) - matches existing format
-        const lengthBytes = new Uint8Array(4);
-        const view = new DataView(lengthBytes.buffer);
-        view.setUint32(0, metadataBytes.length, true); // true = little-endian
+        const combined = new Uint8Array(header.length + data.length);
+        combined.set(header, 0);
+        combined.set(data, header.length);
         
-        // Combine: [length][metadata][data] - matches existing format
-        const combined = new Uint8Array(4 + metadataBytes.length + data.length);
-        combined.set(lengthBytes, 0);
-        combined.set(metadataBytes, 4);
-        combined.set(data, 4 + metadataBytes.length);
-        
-        return btoa(String.fromCharCode(...combined));
+        return this._toBase64Url(combined);
     }
 
     /**
-     * Decode data with metadata - Compatible with existing format
+     * Decode data with metadata, accepting both v2 binary and v1 JSON headers
      * @private
      */
     _decodeWithMetadata(encodedData) {
         try {
-            // Decode base64 safely
-            const binaryStr = atob(encodedData);
-            const bytes = new Uint8Array(binaryStr.length);
-            for (let i = 0; i < binaryStr.length; i++) {
-                bytes[i] = binaryStr.charCodeAt(i);
-            }
-            
-            // Read metadata length (little-endian 32-bit) - matches existing format
-            const view = new DataView(bytes.buffer);
-            const metadataLength = view.getUint32(0, true); // true = little-endian
+            // Split-key links carry the key as a second segment: <data>.<key>
+            const [payload, fragmentKey] = String(encodedData).split(MakeSitesCompression.KEY_SEPARATOR);
+            const bytes = this._fromBase64(payload);
             
-            // Validate metadata length
-            if (metadataLength > bytes.length - 4 || metadataLength < 0) {
-                throw new Error('Invalid metadata length: ' + metadataLength);
+            // v1 links start with a 4-byte length and a JSON object; check that first so
+            // old links keep working even when their length prefix happens to start with 0x02
+            const legacy = this._readLegacyHeader(bytes);
+            if (legacy) {
+                return legacy;
             }
             
-            // Extract metadata and data
-            const metadataBytes = bytes.slice(4, 4 + metadataLength);
-            const data = bytes.slice(4 + metadataLength);
+            const { metadata, offset, signatureRange } = this._readHeader(bytes);
+            const data = bytes.slice(offset);
+            const header = bytes.subarray(0, offset);
             
-            // Parse metadata safely
-            const metadataStr = new TextDecoder().decode(metadataBytes);
-            const metadata = JSON.parse(metadataStr);
+            metadata.cs = data.length;
+            if (metadata.os !== undefined) {
+                metadata.r = Math.round((1 - data.length / metadata.os) * 100);
+            }
             
-            return { data, metadata };
+            return {
+                data,
+                metadata,
+                header,
+                // The header as it was signed and used as AAD: everything but the signature field
+                signedHeader: signatureRange
+                    ? this._concat(header.subarray(0, signatureRange[0]), header.subarray(signatureRange[1]))
+                    : header,
+                key: fragmentKey ? this._fromBase64(fragmentKey) : null
+            };
             
         } catch (error) {
             console.error('Decode error:', error);
@@ -214,6 +1040,321 @@ class MakeSitesCompression {
         }
     }
 
+    /**
+     * Encode bytes as unpadded base64url, which survives chat apps, mail clients and shorteners
+     * @private
+     */
+    _toBase64Url(bytes) {
+        if (typeof bytes.toBase64 === 'function') {
+            return bytes.toBase64({ alphabet: 'base64url', omitPadding: true });
+        }
+        
+        // btoa in slices: spreading a large array into String.fromCharCode overflows the
+        // call stack, and a slice length divisible by 3 keeps padding out of the middle
+        const parts = [];
+        const chunkSize = MakeSitesCompression.BASE64_CHUNK_SIZE;
+        for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+            parts.push(btoa(String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize))));
+        }
+        
+        return parts.join('')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Decode base64 leniently: accepts standard base64 and base64url, with or without
+     * padding, wrapped across lines, and percent-encoded (once or more) by whatever relayed it
+     * @private
+     */
+    _fromBase64(encodedData) {
+        let text = String(encodedData);
+        
+        for (let i = 0; i < 3 && /%[0-9a-f]{2}/i.test(text); i++) {
+            try {
+                text = decodeURIComponent(text);
+            } catch (error) {
+                break; // a stray % that isn't an escape; let validation below report it
+            }
+        }
+        
+        text = text.replace(/\s+/g, '')
+            .replace(/-/g, '+')
+            .replace(/_/g, '/')
+            .replace(/=+$/, '');
+        
+        if (!/^[A-Za-z0-9+/]*$/.test(text)) {
+            throw new Error('Encoded data contains characters that are not base64');
+        }
+        if (text.length % 4 === 1) {
+            throw new Error('Encoded data is truncated');
+        }
+        
+        text += '='.repeat((4 - text.length % 4) % 4);
+        
+        if (typeof Uint8Array.fromBase64 === 'function') {
+            return Uint8Array.fromBase64(text);
+        }
+        
+        // atob in slices of whole 4-character groups, straight into one output buffer
+        const padding = text.endsWith('==') ? 2 : text.endsWith('=') ? 1 : 0;
+        const bytes = new Uint8Array(text.length / 4 * 3 - padding);
+        const chunkSize = MakeSitesCompression.BASE64_CHUNK_SIZE / 3 * 4;
+        let position = 0;
+        
+        for (let offset = 0; offset < text.length; offset += chunkSize) {
+            const binaryStr = atob(text.slice(offset, offset + chunkSize));
+            for (let i = 0; i < binaryStr.length; i++) {
+                bytes[position++] = binaryStr.charCodeAt(i);
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Serialize metadata into the v2 binary header
+     * @private
+     */
+    _writeHeader(metadata) {
+        const codec = MakeSitesCompression.getCodec(metadata.c);
+        if (!codec) {
+            throw new Error(`Unknown compression type: ${metadata.c}`);
+        }
+        
+        const formats = MakeSitesCompression.FORMATS;
+        const formatKey = MakeSitesCompression.FORMAT_ALIASES[metadata.f] || metadata.f;
+        const formatId = formats.indexOf(formatKey);
+        
+        const bytes = [MakeSitesCompression.FORMAT_VERSION, codec.id, formatId === -1 ? 0 : formatId];
+        
+        // Formats without an enum id are written out as a string field
+        const fields = formatId === -1 ? { ...metadata, fs: metadata.f } : metadata;
+        
+        for (const field of MakeSitesCompression.HEADER_FIELDS) {
+            const value = fields[field.key];
+            if (value === undefined || value === null) continue;
+            
+            if (field.type === 'uint') {
+                bytes.push(field.id << 1);
+                this._writeVarint(bytes, value);
+            } else {
+                const raw = field.type === 'string' ? new TextEncoder().encode(value) : value;
+                bytes.push((field.id << 1) | 1);
+                this._writeVarint(bytes, raw.length);
+                for (const byte of raw) bytes.push(byte);
+            }
+        }
+        
+        bytes.push(0); // end of fields
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * Parse a v2 binary header
+     * @private
+     */
+    _readHeader(bytes) {
+        const version = bytes[0];
+        if (version !== 2) {
+            throw new Error('Unsupported format version: ' + version);
+        }
+        if (bytes.length < 4) {
+            throw new Error('Header truncated');
+        }
+        
+        const codec = MakeSitesCompression.listCodecs().find(candidate => candidate.id === bytes[1]);
+        const metadata = {
+            v: version,
+            c: codec ? codec.name : `#${bytes[1]}`, // decompress reports unknown codecs
+            f: MakeSitesCompression.FORMATS[bytes[2]] || 'text'
+        };
+        
+        const cursor = { offset: 3 };
+        let signatureRange = null;
+        for (;;) {
+            if (cursor.offset >= bytes.length) {
+                throw new Error('Header truncated');
+            }
+            const fieldStart = cursor.offset;
+            const tag = bytes[cursor.offset++];
+            if (tag === 0) break;
+            
+            const field = MakeSitesCompression.HEADER_FIELDS.find(candidate => candidate.id === tag >> 1);
+            let value;
+            
+            if ((tag & 1) === 0) {
+                value = this._readVarint(bytes, cursor);
+            } else {
+                const length = this._readVarint(bytes, cursor);
+                if (cursor.offset + length > bytes.length) {
+                    throw new Error('Header truncated');
+                }
+                value = bytes.slice(cursor.offset, cursor.offset + length);
+                cursor.offset += length;
+                if (field && field.type === 'string') {
+                    value = new TextDecoder().decode(value);
+                }
+            }
+            
+            // Fields this version doesn't know about are skipped so newer links still open
+            if (field) {
+                metadata[field.key] = value;
+                if (field.key === 'sig') {
+                    signatureRange = [fieldStart, cursor.offset];
+                }
+            }
+        }
+        
+        if (metadata.fs !== undefined) {
+            metadata.f = metadata.fs;
+            delete metadata.fs;
+        }
+        
+        return { metadata, offset: cursor.offset, signatureRange };
+    }
+
+    /**
+     * Parse a v1 header ([uint32 LE length][JSON metadata]) if the bytes look like one
+     * @private
+     */
+    _readLegacyHeader(bytes) {
+        if (bytes.length < 6 || bytes[4] !== 0x7B) { // '{'
+            return null;
+        }
+        
+        const metadataLength = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true);
+        if (metadataLength < 2 || metadataLength > bytes.length - 4 || bytes[3 + metadataLength] !== 0x7D) { // '}'
+            return null;
+        }
+        
+        try {
+            const metadataStr = new TextDecoder().decode(bytes.subarray(4, 4 + metadataLength));
+            const metadata = JSON.parse(metadataStr);
+            const header = bytes.subarray(0, 4 + metadataLength);
+            return { data: bytes.slice(4 + metadataLength), metadata, header, signedHeader: header };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Append an unsigned LEB128 varint. Uses arithmetic so values above 2^32 (timestamps) survive.
+     * @private
+     */
+    _writeVarint(bytes, value) {
+        let remaining = Math.floor(value);
+        while (remaining >= 0x80) {
+            bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        bytes.push(remaining);
+    }
+
+    /**
+     * Read an unsigned LEB128 varint, advancing cursor.offset
+     * @private
+     */
+    _readVarint(bytes, cursor) {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            if (cursor.offset >= bytes.length || scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Invalid varint');
+            }
+            const byte = bytes[cursor.offset++];
+            value += (byte & 0x7F) * scale;
+            if ((byte & 0x80) === 0) return value;
+            scale *= 0x80;
+        }
+    }
+
+    /**
+     * Parse the header of encoded data without decompressing it
+     * @param {string} encodedData - Base64 or base64url encoded compressed data with metadata
+     * @returns {{metadata: object, totalSize: number, headerSize: number, dataSize: number}} Metadata and byte breakdown
+     */
+    inspect(encodedData) {
+        const { data, metadata, header } = this._decodeWithMetadata(encodedData);
+        
+        return {
+            metadata,
+            totalSize: header.length + data.length,
+            headerSize: header.length,
+            dataSize: data.length
+        };
+    }
+
+    /**
+     * Split a viewer fragment into the encoded link and the route after it: for bundles
+     * the page name (`<data>/<page>`), a line range for code (`<data>:L10-L20`), a search
+     * (`<data>?q=<query>`) and a section of a document (`<data>#<slug>`), in that order.
+     * Base64url never contains '/', but the lenient decoder also takes standard base64,
+     * so a '/' only starts a page name when what comes before it is a bundle. Neither
+     * alphabet has ':', '?' or '#'.
+     * @param {string} fragment - Everything after the URL's first '#'
+     * @param {function(string): boolean} [isBundle] - Whether the data before a '/' is a
+     *   bundle link; by default its header is read to find out
+     * @returns {{data: string, page: string, lines: ?{start: number, end: number}, section: string, search: string}}
+     */
+    static parseRoute(fragment, isBundle = MakeSitesCompression.isBundleLink) {
+        let hash = fragment;
+        let section = '';
+        const sectionAnchor = MakeSitesCompression.SECTION_ANCHOR.exec(hash);
+        if (sectionAnchor) {
+            section = MakeSitesCompression._decodeRoutePart(sectionAnchor[1]);
+            hash = hash.slice(0, sectionAnchor.index);
+        }
+        
+        let search = '';
+        const searchAnchor = MakeSitesCompression.SEARCH_ANCHOR.exec(hash);
+        if (searchAnchor) {
+            search = MakeSitesCompression._decodeRoutePart(searchAnchor[1]);
+            hash = hash.slice(0, searchAnchor.index);
+        }
+        
+        let lines = null;
+        const anchor = MakeSitesCompression.LINE_ANCHOR.exec(hash);
+        if (anchor) {
+            const start = parseInt(anchor[1], 10);
+            const end = anchor[2] ? parseInt(anchor[2], 10) : start;
+            lines = { start: Math.min(start, end), end: Math.max(start, end) };
+            hash = hash.slice(0, anchor.index);
+        }
+        
+        const slash = hash.indexOf('/');
+        if (slash !== -1 && isBundle(hash.slice(0, slash))) {
+            return { data: hash.slice(0, slash), page: MakeSitesCompression._decodeRoutePart(hash.slice(slash + 1)), lines, section, search };
+        }
+        return { data: hash, page: '', lines, section, search };
+    }
+
+    /**
+     * Percent-decode part of a route, keeping it as typed when it isn't valid
+     * encoding (a stray '%', as in `#50%-off`)
+     * @private
+     */
+    static _decodeRoutePart(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * Whether encoded data is a link to a multi-page bundle
+     * @param {string} data - Encoded data, without route suffixes
+     * @returns {boolean} False too when it isn't a link on its own, e.g. standard base64 cut at a '/'
+     */
+    static isBundleLink(data) {
+        try {
+            return new MakeSitesCompression().inspect(data).metadata.f === 'bundle';
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Get compression statistics for display
      * @param {string} original - Original content
@@ -221,14 +1362,17 @@ class MakeSitesCompression {
      * @returns {object} Statistics object
      */
     getStats(original, compressed) {
-        const originalSize = new TextEncoder().encode(original).length;
-        const compressedSize = atob(compressed).length;
+        const { data, metadata, header } = this._decodeWithMetadata(compressed);
+        // With embedded assets the original is the content plus the files
+        const originalSize = metadata.as ? metadata.os : new TextEncoder().encode(original).length;
+        const compressedSize = header.length + data.length;
         const ratio = Math.round((1 - compressedSize / originalSize) * 100);
         
         return {
             originalSize,
             compressedSize,
             ratio,
+            method: metadata.c,
             readable: {
                 original: this._formatBytes(originalSize),
                 compressed: this._formatBytes(compressedSize),
@@ -237,6 +1381,58 @@ class MakeSitesCompression {
         };
     }
 
+    /**
+     * Guess the format of pasted content from its shape
+     * @param {string} content - Content to look at
+     * @returns {string|null} Format name, or null when nothing points to one (plain prose, say)
+     */
+    static detectFormat(content) {
+        const text = content.trim();
+        if (!text) return null;
+
+        if (/^[[{]/.test(text)) {
+            try {
+                const value = JSON.parse(text);
+                return value && Array.isArray(value.pages) ? 'bundle' : 'json';
+            } catch (error) {
+                // Not JSON after all; a YAML flow mapping or a TOML table, say
+            }
+        }
+        if (/^diff --git /m.test(text) || /^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m.test(text)) {
+            return 'diff';
+        }
+        if (/^(<!doctype html|<html[\s>])/i.test(text)
+            || (text.startsWith('<') && /<\/(head|body|div|p|section|table|ul|style|script)>/i.test(text))) {
+            return 'html';
+        }
+        if (text.startsWith('#!')) {
+            return 'code';
+        }
+
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const share = test => lines.filter(test).length / lines.length;
+        if (/^\s*\[[\w.-]+\]\s*$/m.test(text) && share(line => /^\s*(\[[\w.-]+\]|[\w.-]+\s*=\s*\S|#)/.test(line)) >= 0.9) {
+            return 'toml';
+        }
+        if (/^#{1,6}\s+\S/m.test(text) || /^(```|~~~)/m.test(text) || /\[[^\]\n]+\]\([^)\s]+\)/.test(text)) {
+            return 'markdown';
+        }
+        if (lines.length > 1 && share(line => /^\s*(- |[\w"'.-][^:]*:(\s|$)|#|---$)/.test(line)) >= 0.9) {
+            return 'yaml';
+        }
+
+        // Rows with the same number of tabs or commas; quoted commas may throw a few off
+        if (lines.length > 1) {
+            for (const [delimiter, format] of [['\t', 'tsv'], [',', 'csv']]) {
+                const fields = lines[0].split(delimiter).length;
+                if (fields > 1 && share(line => line.split(delimiter).length === fields) >= 0.8) {
+                    return format;
+                }
+            }
+        }
+        return null;
+    }
+
     /**
      * Format bytes for human readable display
      * @private
@@ -250,10 +1446,240 @@ class MakeSitesCompression {
     }
 }
 
-// Make available globally
-window.MakeSitesCompression = MakeSitesCompression;
+/**
+ * Codec registry shared by all instances, keyed by codec name
+ */
+MakeSitesCompression.codecs = new Map();
+
+/**
+ * Codec libraries passed to MakeSitesCompression.use(), keyed by global name
+ */
+MakeSitesCompression.libraries = {};
+
+/**
+ * Preset dictionaries keyed by id, filled by js/dictionaries.js or registerDictionary()
+ */
+MakeSitesCompression.dictionaries = new Map();
+
+/**
+ * Slice sizes for the chunked base64 and stream pipelines. The base64 one must be a multiple of 3.
+ */
+MakeSitesCompression.BASE64_CHUNK_SIZE = 3 * 0x4000;
+MakeSitesCompression.STREAM_CHUNK_SIZE = 0x10000;
+
+/**
+ * Wire format written by _encodeWithMetadata. Version 1 (JSON header) is still read.
+ */
+MakeSitesCompression.FORMAT_VERSION = 2;
+
+/**
+ * Format enum for the v2 header; the index is the byte on the wire.
+ * Id 0 means "see the fs string field". Append only, never reorder.
+ */
+MakeSitesCompression.FORMATS = ['', 'html', 'markdown', 'json', 'text', 'bundle', 'csv', 'tsv', 'yaml', 'toml', 'code', 'diff'];
+MakeSitesCompression.FORMAT_ALIASES = { md: 'markdown', txt: 'text', yml: 'yaml', patch: 'diff' };
+
+/**
+ * Optional v2 header fields, written in this order and only when present.
+ * Each is tagged with (id << 1 | wire type): wire type 0 is a varint, 1 is
+ * length-prefixed bytes, so readers can skip ids they don't know.
+ * Append only, never reuse an id.
+ */
+MakeSitesCompression.HEADER_FIELDS = [
+    { key: 'os', id: 1, type: 'uint' },   // original size in bytes
+    { key: 'ts', id: 2, type: 'uint' },   // creation timestamp (ms)
+    { key: 'fs', id: 3, type: 'string' }, // format name when it has no enum id
+    { key: 'sb', id: 4, type: 'uint' },   // HTML sandbox mode: 1 = interactive (scripts run)
+    { key: 'e', id: 5, type: 'uint' },    // encryption: 1 = passphrase, 2 = key in the fragment
+    { key: 'iv', id: 6, type: 'bytes' },  // AES-GCM nonce (12 bytes)
+    { key: 'salt', id: 7, type: 'bytes' }, // PBKDF2 salt (16 bytes)
+    { key: 'it', id: 8, type: 'uint' },   // PBKDF2 iterations
+    { key: 'h', id: 9, type: 'bytes' },   // truncated SHA-256 of the original content
+    { key: 'pk', id: 10, type: 'bytes' }, // Ed25519 public key of the signer
+    { key: 'sig', id: 11, type: 'bytes' }, // Ed25519 signature over everything but this field
+    { key: 'as', id: 12, type: 'uint' },  // number of embedded assets; the data carries an asset table
+    { key: 'd', id: 13, type: 'uint' },   // preset dictionary id (see registerDictionary)
+    { key: 'lg', id: 14, type: 'string' }, // source language of 'code' content
+    { key: 'fn', id: 15, type: 'string' }, // file name of 'code' content
+    { key: 'fk', id: 16, type: 'bytes' }   // id of the link this was edited from (see linkId)
+];
+
+/**
+ * Bytes of SHA-256 kept in the `h` field: 64 bits catches any accidental or casual
+ * edit; deliberate forgery is what signatures are for.
+ */
+MakeSitesCompression.CHECKSUM_LENGTH = 8;
+
+/**
+ * Asset names as referenced from content (`asset:images/logo.png`)
+ */
+MakeSitesCompression.ASSET_NAME = /^[\w.-]+(\/[\w.-]+)*$/;
+
+/**
+ * How an asset's bytes are kept in the asset table
+ */
+MakeSitesCompression.ASSET_INLINE = 0;    // compressed together with the content
+MakeSitesCompression.ASSET_STORED = 1;    // appended as is
+MakeSitesCompression.ASSET_DUPLICATE = 2; // same bytes as an earlier entry
+
+/**
+ * Types that are compressed already; running them through the codec again only costs time
+ */
+MakeSitesCompression.STORED_ASSET_TYPES = /^(image\/(png|jpeg|gif|webp|avif)|font\/woff2?|audio\/|video\/|application\/(zip|gzip|pdf))/;
+
+/**
+ * Link length (in characters) to stay within: longer URLs get cut off or refused by some
+ * chat apps, mail clients and browsers
+ */
+MakeSitesCompression.URL_BUDGET = 32 * 1024;
+
+/**
+ * Where links of a given length stop working, shortest first (lengths in characters)
+ */
+MakeSitesCompression.URL_LIMITS = [
+    { name: 'Email', length: 2000, note: 'some mail clients break or cut longer links' },
+    { name: 'QR code', length: 2953, note: 'the most a QR code holds, at low error correction' },
+    { name: 'Slack', length: 4000, note: 'longer messages are cut off' },
+    { name: 'Browser', length: MakeSitesCompression.URL_BUDGET, note: 'the budget links are made to fit' }
+];
+
+/**
+ * Share of URL_BUDGET a single asset may take before compress warns about it
+ */
+MakeSitesCompression.ASSET_BUDGET_SHARE = 0.25;
+
+/**
+ * Optional AES-256-GCM encryption of the compressed data (header field `e`).
+ * Passphrase keys come from PBKDF2-SHA256; split keys are random and travel as
+ * a second fragment segment after KEY_SEPARATOR, which base64url never contains.
+ */
+MakeSitesCompression.ENCRYPTION_PASSPHRASE = 1;
+MakeSitesCompression.ENCRYPTION_SPLIT_KEY = 2;
+MakeSitesCompression.PBKDF2_ITERATIONS = 600000;
+MakeSitesCompression.KEY_SEPARATOR = '.';
+
+/**
+ * `code` of the error decompress() throws when the passphrase or key is missing or wrong
+ */
+MakeSitesCompression.DECRYPTION_FAILED = 'ERR_DECRYPTION_FAILED';
+
+/**
+ * Route suffixes the viewer adds after the data (see parseRoute): a line range of
+ * code (`:L10` or `:L10-L20`), a search (`?q=<query>`, before any section) and a
+ * section of a document (`#<slug>`)
+ */
+MakeSitesCompression.LINE_ANCHOR = /:L(\d+)(?:-L(\d+))?$/;
+MakeSitesCompression.SEARCH_ANCHOR = /\?q=(.*)$/;
+MakeSitesCompression.SECTION_ANCHOR = /#(.*)$/;
+
+/**
+ * Built-in codecs. Third-party implementations come from MakeSitesCompression.use()
+ * or the globals set by pako and the scripts in js/vendor, so each codec only reports
+ * itself available when its library (or a native Compression Streams format) is present.
+ */
+const lib = name => MakeSitesCompression._library(name);
 
-// Export for module systems
+MakeSitesCompression.registerCodec({
+    name: 'none',
+    id: 0,
+    label: 'None',
+    encode: bytes => bytes,
+    decode: bytes => bytes
+});
+
+MakeSitesCompression.registerCodec({
+    name: 'gz',
+    id: 1,
+    label: 'Gzip',
+    aliases: ['gzip'],
+    // Native streams first: they run off the JS heap and match pako's level 9 within a fraction of a percent
+    canEncode: () => MakeSitesCompression._supportsStream('compress', 'gzip') || !!lib('pako'),
+    canDecode: () => MakeSitesCompression._supportsStream('decompress', 'gzip') || !!lib('pako'),
+    encode: bytes => (MakeSitesCompression._supportsStream('compress', 'gzip')
+        ? MakeSitesCompression._transformStream(bytes, new CompressionStream('gzip'))
+        : lib('pako').gzip(bytes, { level: 9 })),
+    decode: bytes => (MakeSitesCompression._supportsStream('decompress', 'gzip')
+        ? MakeSitesCompression._transformStream(bytes, new DecompressionStream('gzip'))
+        : lib('pako').ungzip(bytes))
+});
+
+MakeSitesCompression.registerCodec({
+    // Same DEFLATE stream as gzip without the 10-byte header and 8-byte CRC/size trailer
+    name: 'deflate-raw',
+    id: 3,
+    label: 'Deflate',
+    canEncode: () => MakeSitesCompression._supportsStream('compress', 'deflate-raw') || !!lib('pako'),
+    canDecode: () => MakeSitesCompression._supportsStream('decompress', 'deflate-raw') || !!lib('pako'),
+    // Compression Streams have no preset dictionary option, so dictionaries need pako
+    supportsDictionary: () => !!lib('pako'),
+    encode: (bytes, dictionary) => (dictionary
+        ? lib('pako').deflateRaw(bytes, { level: 9, dictionary })
+        : MakeSitesCompression._supportsStream('compress', 'deflate-raw')
+            ? MakeSitesCompression._transformStream(bytes, new CompressionStream('deflate-raw'))
+            : lib('pako').deflateRaw(bytes, { level: 9 })),
+    decode: (bytes, dictionary) => (dictionary
+        ? lib('pako').inflateRaw(bytes, { dictionary })
+        : MakeSitesCompression._supportsStream('decompress', 'deflate-raw')
+            ? MakeSitesCompression._transformStream(bytes, new DecompressionStream('deflate-raw'))
+            : lib('pako').inflateRaw(bytes))
+});
+
+MakeSitesCompression.registerCodec({
+    name: 'br',
+    id: 2,
+    label: 'Brotli',
+    canEncode: () => !!lib('BrotliEncode'),
+    canDecode: () => !!lib('BrotliDecode'),
+    // Quality 11 with text mode (1) gives the smallest output for documents, but costs
+    // ~15s per MB; above 256 KB quality 9 is ~40x faster for ~15% more output.
+    // The emscripten encoder returns null when it fails.
+    encode: bytes => {
+        const quality = bytes.length > 256 * 1024 ? 9 : 11;
+        const compressed = lib('BrotliEncode')(bytes, { quality, mode: 1 });
+        if (!compressed) throw new Error('Brotli encoder failed on this input');
+        return compressed;
+    },
+    decode: bytes => lib('BrotliDecode')(bytes)
+});
+
+MakeSitesCompression.registerCodec({
+    // LZMA-JS "lzma_alone" streams, the same container itty.bitty uses.
+    // It encodes at well under 1 MB/s, so it only competes on small payloads.
+    name: 'lzma',
+    id: 4,
+    label: 'LZMA',
+    maxEncodeSize: 256 * 1024,
+    canEncode: () => !!lib('LZMA') && typeof lib('LZMA').compress === 'function',
+    canDecode: () => !!lib('LZMA'),
+    encode: bytes => Uint8Array.from(lib('LZMA').compress(bytes, 9)),
+    decode: bytes => {
+        // LZMA-JS hands back a string when the output is valid UTF-8, signed bytes otherwise
+        const decompressed = lib('LZMA').decompress(bytes);
+        return typeof decompressed === 'string'
+            ? new TextEncoder().encode(decompressed)
+            : Uint8Array.from(decompressed);
+    }
+});
+
+MakeSitesCompression.registerCodec({
+    // There is no pure-JS zstd encoder, so encoding needs native Compression Streams support
+    name: 'zstd',
+    id: 5,
+    label: 'Zstandard',
+    canEncode: () => MakeSitesCompression._supportsStream('compress', 'zstd'),
+    canDecode: () => MakeSitesCompression._supportsStream('decompress', 'zstd') || !!lib('fzstd'),
+    encode: bytes => MakeSitesCompression._transformStream(bytes, new CompressionStream('zstd')),
+    decode: bytes => (MakeSitesCompression._supportsStream('decompress', 'zstd')
+        ? MakeSitesCompression._transformStream(bytes, new DecompressionStream('zstd'))
+        : lib('fzstd').decompress(bytes))
+});
+
+// Export for module systems (require() gets the class, with a named export for
+// destructuring); as a plain <script> it becomes a global. The ES module build in
+// dist/ is generated from this file by scripts/build.js.
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MakeSitesCompression;
-}
\ No newline at end of file
+    module.exports.MakeSitesCompression = MakeSitesCompression;
+} else if (typeof globalThis !== 'undefined') {
+    globalThis.MakeSitesCompression = MakeSitesCompression;
+}
@@ -0,0 +1,149 @@
+/**
+ * Preset compression dictionaries for make-sites
+ * A dictionary is text that compressed content can refer back to instead of repeating
+ * it, so boilerplate shared by many links (the helper templates below) costs a few
+ * bytes per link instead of a kilobyte. Links record the dictionary id in their header,
+ * and the viewer needs the same bytes to open them.
+ *
+ * Dictionaries are frozen once published: changing one breaks every link made with it.
+ * To update one, add a new entry with the next id and leave the old one in place.
+ *
+ * In the browser this file registers its dictionaries with MakeSitesCompression (load
+ * it after compression.js). Under CommonJS it exports the list for
+ * MakeSitesCompression.registerDictionary.
+ */
+
+const MAKE_SITES_DICTIONARIES = [
+    {
+        // Output of createStyledHTMLSite and createAPIDocs in claude-code-helpers.js
+        id: 1,
+        name: 'templates-v1',
+        formats: ['html'],
+        text: `            <span class="method" style="background-color: #007bff">POST</span>
+            <span class="method" style="background-color: #ffc107">PUT</span>
+            <span class="method" style="background-color: #dc3545">DELETE</span>
+            <span class="method" style="background-color: #17a2b8">PATCH</span>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Documentation</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 2rem;
+            background: #f8fafc;
+        }
+        
+        .container {
+            background: white;
+            padding: 2rem;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        
+        h1, h2, h3 { color: #2c3e50; margin-top: 2rem; }
+        h1 { border-bottom: 3px solid #3498db; padding-bottom: 0.5rem; }
+        h2 { border-bottom: 2px solid #ecf0f1; padding-bottom: 0.25rem; }
+        
+        code {
+            background: #f4f4f4;
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-family: 'Monaco', 'Menlo', monospace;
+        }
+        
+        pre {
+            background: #2c3e50;
+            color: #ecf0f1;
+            padding: 1rem;
+            border-radius: 5px;
+            overflow-x: auto;
+        }
+        
+        pre code { background: none; color: inherit; }
+        
+        a { color: #3498db; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+        
+        @media (max-width: 768px) {
+            body { padding: 1rem; }
+            .container { padding: 1rem; }
+        }
+    
+        .api-intro { font-size: 1.1rem; color: #666; margin-bottom: 2rem; }
+        .endpoint { 
+            background: #f8f9fa; 
+            border: 1px solid #e9ecef;
+            border-radius: 8px; 
+            padding: 1.5rem; 
+            margin: 1.5rem 0; 
+        }
+        .endpoint-header { display: flex; align-items: center; margin-bottom: 1rem; }
+        .method { 
+            color: white; 
+            padding: 0.25rem 0.75rem; 
+            border-radius: 4px; 
+            font-size: 0.875rem; 
+            font-weight: bold;
+            margin-right: 1rem;
+        }
+        .path { 
+            font-family: 'Monaco', 'Menlo', monospace; 
+            font-weight: bold; 
+            font-size: 1.1rem;
+        }
+        .description { color: #555; margin: 0.5rem 0; }
+        .footer { 
+            margin-top: 3rem; 
+            padding-top: 2rem; 
+            border-top: 1px solid #e9ecef; 
+            text-align: center; 
+            color: #999; 
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        
+        <h1>📚 API Documentation</h1>
+        <p class="api-intro">Complete API reference with examples and usage information.</p>
+        
+            <div class="endpoint">
+                <div class="endpoint-header">
+                    <span class="method" style="background-color: #28a745">GET</span>
+                    <span class="path">/p</span>
+                </div>
+                <p class="description">d</p>
+                
+                    <h4>Parameters</h4>
+                    <ul><li><code>n</code> - x</li></ul>
+                
+                
+                    <h4>Example Response</h4>
+                    <pre><code>{
+  "a": 1
+}</code></pre>
+                
+            </div>
+        
+        <div class="footer">
+            <p><em>Generated with make-sites • Share this URL anywhere!</em></p>
+        </div>
+    
+    </div>
+</body>
+</html>`
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MAKE_SITES_DICTIONARIES;
+} else if (typeof globalThis !== 'undefined' && globalThis.MakeSitesCompression) {
+    MAKE_SITES_DICTIONARIES.forEach(dictionary => globalThis.MakeSitesCompression.registerDictionary(dictionary));
+}
@@ -0,0 +1,344 @@
+/**
+ * Unified diffs for make-sites
+ * Parses the content of 'diff' links (`diff -u`, `git diff` and `git format-patch`
+ * output, one or many files) into files, hunks and lines for the viewer, and creates
+ * a unified diff from two texts for the compressor.
+ */
+
+class MakeSitesDiff {
+    /**
+     * Read the files and hunks of a unified diff
+     * @param {string} text - Diff text
+     * @returns {Array<object>} Files: `{oldPath, newPath, status, binary, hunks, additions, deletions}`,
+     *   where status is 'modified', 'added', 'deleted' or 'renamed' and each hunk is
+     *   `{oldStart, oldLines, newStart, newLines, section, lines}` with lines of
+     *   `{type: 'context'|'add'|'del'|'note', text, oldLine, newLine}`
+     */
+    static parse(text) {
+        const files = [];
+        let file = null;
+        let hunk = null;
+        let oldLine = 0;
+        let newLine = 0;
+        let oldRemaining = 0;
+        let newRemaining = 0;
+        let sawOldHeader = false;
+
+        const startFile = () => {
+            file = { oldPath: '', newPath: '', status: 'modified', binary: false, hunks: [], additions: 0, deletions: 0 };
+            files.push(file);
+            hunk = null;
+            sawOldHeader = false;
+        };
+
+        for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+            // Inside a hunk its line counts say what's content, so a removed line
+            // starting with "-- " isn't taken for the next file's header
+            if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+                const marker = line[0];
+                const body = line.slice(1);
+                if (marker === '+') {
+                    hunk.lines.push({ type: 'add', text: body, oldLine: null, newLine: newLine++ });
+                    file.additions++;
+                    newRemaining--;
+                } else if (marker === '-') {
+                    hunk.lines.push({ type: 'del', text: body, oldLine: oldLine++, newLine: null });
+                    file.deletions++;
+                    oldRemaining--;
+                } else if (marker === '\\') {
+                    hunk.lines.push({ type: 'note', text: body.trim(), oldLine: null, newLine: null });
+                } else if (marker === ' ' || line === '') {
+                    // Some tools strip the space off blank context lines
+                    hunk.lines.push({ type: 'context', text: body, oldLine: oldLine++, newLine: newLine++ });
+                    oldRemaining--;
+                    newRemaining--;
+                }
+                continue;
+            }
+
+            let match;
+            if ((match = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/.exec(line))) {
+                startFile();
+                file.oldPath = match[1];
+                file.newPath = match[2];
+            } else if (line.startsWith('--- ')) {
+                // After `diff --git` the headers belong to that file; otherwise they start one
+                if (!file || file.hunks.length || sawOldHeader) {
+                    startFile();
+                }
+                sawOldHeader = true;
+                const path = MakeSitesDiff._headerPath(line.slice(4));
+                if (path === null) {
+                    file.status = 'added';
+                } else {
+                    file.oldPath = path;
+                }
+            } else if (line.startsWith('+++ ') && file) {
+                const path = MakeSitesDiff._headerPath(line.slice(4));
+                if (path === null) {
+                    file.status = 'deleted';
+                } else {
+                    file.newPath = path;
+                }
+            } else if ((match = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/.exec(line))) {
+                if (!file) startFile();
+                hunk = {
+                    oldStart: parseInt(match[1], 10),
+                    oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+                    newStart: parseInt(match[3], 10),
+                    newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+                    section: match[5],
+                    lines: []
+                };
+                file.hunks.push(hunk);
+                oldLine = hunk.oldStart;
+                newLine = hunk.newStart;
+                oldRemaining = hunk.oldLines;
+                newRemaining = hunk.newLines;
+            } else if (file && /^new file mode /.test(line)) {
+                file.status = 'added';
+            } else if (file && /^deleted file mode /.test(line)) {
+                file.status = 'deleted';
+            } else if (file && (match = /^rename (from|to) (.+)$/.exec(line))) {
+                file.status = 'renamed';
+                file[match[1] === 'from' ? 'oldPath' : 'newPath'] = match[2];
+            } else if (file && /^Binary files .* differ$/.test(line)) {
+                file.binary = true;
+            }
+            // Anything else (index lines, commit messages, mail headers) isn't shown
+        }
+
+        return files
+            .filter(entry => entry.hunks.length || entry.binary || entry.status !== 'modified')
+            .map(entry => {
+                if (!entry.oldPath) entry.oldPath = entry.newPath;
+                if (!entry.newPath) entry.newPath = entry.oldPath;
+                if (entry.status === 'modified' && entry.oldPath !== entry.newPath) entry.status = 'renamed';
+                return entry;
+            });
+    }
+
+    /**
+     * Create a unified diff between two texts
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @param {object} [options]
+     * @param {string} [options.oldName] - Name on the `---` line
+     * @param {string} [options.newName] - Name on the `+++` line
+     * @param {number} [options.context] - Unchanged lines shown around each change
+     * @returns {string} Diff text; empty when the texts have the same lines
+     */
+    static create(oldText, newText, { oldName = 'original', newName = 'changed', context = 3 } = {}) {
+        const split = text => {
+            const lines = text.replace(/\r\n?/g, '\n').split('\n');
+            if (lines[lines.length - 1] === '') lines.pop();
+            return lines;
+        };
+        const ops = MakeSitesDiff._diffLines(split(oldText), split(newText));
+        if (!ops.some(op => op.type !== 'context')) {
+            return '';
+        }
+
+        // Group changes into hunks, merging those whose context would overlap
+        const hunks = [];
+        let hunk = null;
+        let lastChange = -Infinity;
+        ops.forEach((op, index) => {
+            if (op.type === 'context') return;
+            if (!hunk || index - lastChange > 2 * context) {
+                hunk = { start: Math.max(0, index - context), end: index };
+                hunks.push(hunk);
+            }
+            hunk.end = Math.min(ops.length - 1, index + context);
+            lastChange = index;
+        });
+
+        const output = [`--- ${oldName}`, `+++ ${newName}`];
+        const marker = { context: ' ', del: '-', add: '+' };
+        for (const { start, end } of hunks) {
+            const lines = ops.slice(start, end + 1);
+            const oldLines = lines.filter(op => op.type !== 'add').length;
+            const newLines = lines.filter(op => op.type !== 'del').length;
+            // An empty range is numbered after the line it follows
+            const oldStart = ops[start].oldIndex + (oldLines ? 1 : 0);
+            const newStart = ops[start].newIndex + (newLines ? 1 : 0);
+            output.push(`@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`);
+            lines.forEach(op => output.push(marker[op.type] + op.text));
+        }
+        return output.join('\n') + '\n';
+    }
+
+    /**
+     * Path from a `---`/`+++` line, without git's a/ and b/ prefixes or a trailing
+     * timestamp; null for /dev/null
+     * @private
+     */
+    static _headerPath(value) {
+        const path = value.split('\t')[0].replace(/^"(.*)"$/, '$1');
+        if (path === '/dev/null') return null;
+        return path.replace(/^[ab]\//, '');
+    }
+
+    /**
+     * Shortest edit script between two arrays of lines (Myers' algorithm, in linear space)
+     * @private
+     * @returns {Array<{type: string, text: string, oldIndex: number, newIndex: number}>}
+     *   Operations in order; oldIndex and newIndex count the lines before each one
+     */
+    static _diffLines(a, b) {
+        const ops = [];
+        MakeSitesDiff._diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+        // Splitting can interleave the two sides of a changed block; show each block's
+        // removed lines before its added ones
+        for (let start = 0; start < ops.length; start++) {
+            if (ops[start].type === 'context') continue;
+            let end = start;
+            while (end < ops.length && ops[end].type !== 'context') end++;
+            const block = ops.slice(start, end);
+            ops.splice(start, block.length,
+                ...block.filter(op => op.type === 'del'),
+                ...block.filter(op => op.type === 'add'));
+            start = end;
+        }
+
+        let oldIndex = 0;
+        let newIndex = 0;
+        for (const op of ops) {
+            op.oldIndex = oldIndex;
+            op.newIndex = newIndex;
+            if (op.type !== 'add') oldIndex++;
+            if (op.type !== 'del') newIndex++;
+        }
+        return ops;
+    }
+
+    /**
+     * Append the edit script of a[aStart..aEnd) against b[bStart..bEnd) to ops. The
+     * ranges are split where a shortest path crosses their middle, and each side is
+     * diffed on its own, so memory stays proportional to the input rather than
+     * growing with the square of the number of changes.
+     * @private
+     */
+    static _diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+        // Common ends don't need searching
+        while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+            ops.push({ type: 'context', text: a[aStart] });
+            aStart++;
+            bStart++;
+        }
+        let suffix = 0;
+        while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) {
+            suffix++;
+        }
+        aEnd -= suffix;
+        bEnd -= suffix;
+
+        // A rewritten block shares no lines, and searching it would take time growing
+        // with the square of its length only to find that out
+        const oldLines = new Set(a.slice(aStart, aEnd));
+        const split = b.slice(bStart, bEnd).some(line => oldLines.has(line))
+            ? MakeSitesDiff._middle(a, aStart, aEnd, b, bStart, bEnd)
+            : null;
+        if (split) {
+            MakeSitesDiff._diffRange(a, aStart, split.x, b, bStart, split.y, ops);
+            MakeSitesDiff._diffRange(a, split.x, aEnd, b, split.y, bEnd, ops);
+        } else {
+            for (let i = aStart; i < aEnd; i++) ops.push({ type: 'del', text: a[i] });
+            for (let i = bStart; i < bEnd; i++) ops.push({ type: 'add', text: b[i] });
+        }
+
+        for (let i = aEnd; i < aEnd + suffix; i++) {
+            ops.push({ type: 'context', text: a[i] });
+        }
+    }
+
+    /**
+     * Point where a shortest edit path crosses the middle of the ranges, found by
+     * searching from both ends at once until the searches overlap
+     * @private
+     * @returns {?{x: number, y: number}} Absolute indexes into a and b; null when the
+     *   ranges have no line in common
+     */
+    static _middle(a, aStart, aEnd, b, bStart, bEnd) {
+        const n = aEnd - aStart;
+        const m = bEnd - bStart;
+        const maxD = Math.ceil((n + m) / 2);
+        const offset = maxD;
+        const size = 2 * maxD + 2;
+        // Furthest x reached on each diagonal k = x - y, from the start and (mirrored) from the end
+        const forward = new Int32Array(size).fill(-1);
+        const backward = new Int32Array(size).fill(-1);
+        forward[offset + 1] = 0;
+        backward[offset + 1] = 0;
+
+        const delta = n - m;
+        // With an odd delta the searches meet on a forward step, with an even one on a backward step
+        const checkForward = delta % 2 !== 0;
+        // Diagonals that ran off an edge of the ranges aren't searched again
+        let forwardStart = 0;
+        let forwardEnd = 0;
+        let backwardStart = 0;
+        let backwardEnd = 0;
+
+        for (let d = 0; d < maxD; d++) {
+            for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+                const index = offset + k;
+                let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+                    ? forward[index + 1]
+                    : forward[index - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                    x++;
+                    y++;
+                }
+                forward[index] = x;
+                if (x > n) {
+                    forwardEnd += 2;
+                } else if (y > m) {
+                    forwardStart += 2;
+                } else if (checkForward) {
+                    const mirror = offset + delta - k;
+                    if (mirror >= 0 && mirror < size && backward[mirror] !== -1 && x >= n - backward[mirror]) {
+                        return { x: aStart + x, y: bStart + y };
+                    }
+                }
+            }
+
+            for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+                const index = offset + k;
+                let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+                    ? backward[index + 1]
+                    : backward[index - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                    x++;
+                    y++;
+                }
+                backward[index] = x;
+                if (x > n) {
+                    backwardEnd += 2;
+                } else if (y > m) {
+                    backwardStart += 2;
+                } else if (!checkForward) {
+                    const mirror = offset + delta - k;
+                    if (mirror >= 0 && mirror < size && forward[mirror] !== -1) {
+                        const forwardX = forward[mirror];
+                        if (forwardX >= n - x) {
+                            return { x: aStart + forwardX, y: bStart + forwardX - (mirror - offset) };
+                        }
+                    }
+                }
+            }
+        }
+        return null;
+    }
+}
+
+// Export for module systems and as a global, like table.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MakeSitesDiff;
+    module.exports.MakeSitesDiff = MakeSitesDiff;
+} else if (typeof globalThis !== 'undefined') {
+    globalThis.MakeSitesDiff = MakeSitesDiff;
+}
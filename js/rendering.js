@@ -1,57 +1,224 @@
 /**
  * Content rendering utilities for make-sites
- * Supports HTML, Markdown, JSON, and text content
+ * Supports HTML, Markdown, JSON, YAML, TOML, CSV/TSV tables, source code, diffs and text content
  */
 
 class MakeSitesRenderer {
     constructor() {
-        this.marked = null; // Will be loaded dynamically if needed
-        this.highlightjs = null; // Will be loaded dynamically if needed
+        this.marked = null; // Loaded from js/vendor on first Markdown document
+        this.highlightjs = null; // Loaded from js/vendor on first code block
+        this.parsers = {}; // YAML and TOML parsers, loaded from js/vendor on first use
+        this.sanitizer = new MakeSitesSanitizer();
+        this.assetURLs = new Map(); // asset -> blob URLs made for it, revoked by releaseAssets
     }
 
     /**
      * Render content based on format
      * @param {string} content - Content to render
      * @param {object} metadata - Content metadata
+     * @param {object} [options] - Rendering options
+     * @param {string} [options.styles] - Stylesheet to apply to the content (a bundle's shared CSS)
+     * @param {Map<string, {type: string, data: Uint8Array}>} [options.assets] - Embedded assets that
+     *   `asset:<name>` references resolve to
      * @returns {Promise<string>} Rendered HTML
      */
-    async render(content, metadata) {
+    async render(content, metadata, options = {}) {
         const format = metadata.f || 'html';
+        const assets = options.assets || new Map();
+        let rendered;
         
         switch (format.toLowerCase()) {
             case 'html':
-                return this._renderHTML(content);
+                rendered = this._renderHTML(assets.size ? this._inlineAssets(content, assets) : content, metadata, options.styles);
+                break;
             case 'markdown':
             case 'md':
-                return await this._renderMarkdown(content);
+                rendered = await this._renderMarkdown(content);
+                break;
             case 'json':
-                return this._renderJSON(content);
+                rendered = this._renderJSON(content);
+                break;
+            case 'yaml':
+            case 'yml':
+            case 'toml':
+                rendered = await this._renderConfig(content, format.toLowerCase());
+                break;
+            case 'code':
+                rendered = await this._renderCode(content, metadata);
+                break;
+            case 'diff':
+            case 'patch':
+                rendered = this._renderDiff(content);
+                break;
+            case 'csv':
+            case 'tsv':
+                rendered = this._renderTable(content, format.toLowerCase());
+                break;
             case 'text':
             case 'txt':
-                return this._renderText(content);
+                rendered = this._renderText(content);
+                break;
             default:
-                return this._renderText(content);
+                rendered = this._renderText(content);
         }
+        
+        if (options.styles && format.toLowerCase() !== 'html') {
+            rendered = this._applyStyles(rendered, options.styles);
+        }
+        if (assets.size && format.toLowerCase() !== 'html') {
+            rendered = this._resolveAssets(rendered, assets);
+        }
+        
+        return this._highlightCode(rendered);
     }
 
     /**
-     * Render HTML content with safety checks
+     * Point `asset:` src and href attributes in content rendered into the viewer at blob
+     * URLs. Only raster images are served with their type; anything that could run script
+     * if opened on its own (SVG, HTML) is shown from a data: URL, which browsers won't open
+     * as a page, and links download instead of opening.
      * @private
      */
-    _renderHTML(content) {
-        // Basic XSS protection - remove script tags and javascript: protocols
-        const sanitized = content
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/javascript:/gi, 'blocked:')
-            .replace(/on\w+\s*=/gi, 'data-blocked=');
+    _resolveAssets(html, assets) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        
+        container.querySelectorAll('[src^="asset:"], [href^="asset:"]').forEach(element => {
+            const attribute = (element.getAttribute('src') || '').startsWith('asset:') ? 'src' : 'href';
+            const name = element.getAttribute(attribute).slice('asset:'.length);
+            const asset = assets.get(name);
+            if (!asset) {
+                console.warn(`Missing asset: ${name}`);
+                element.removeAttribute(attribute);
+                return;
+            }
+            
+            if (attribute === 'href') {
+                element.setAttribute('href', this._assetURL(asset, 'application/octet-stream'));
+                element.setAttribute('download', name.split('/').pop());
+            } else if (this.sanitizer.allowedDataTypes.has(asset.type)) {
+                element.setAttribute('src', this._assetURL(asset, asset.type));
+            } else {
+                element.setAttribute('src', this._dataURL(asset));
+            }
+        });
+        
+        return container.innerHTML;
+    }
+
+    /**
+     * Replace `asset:` references in a sandboxed HTML document (attributes and CSS url())
+     * with data: URLs. The sandbox has its own opaque origin, so it can't load blob URLs
+     * made by the viewer; its CSP allows data: for images, fonts and media.
+     * @private
+     */
+    _inlineAssets(content, assets) {
+        return content.replace(/(["'(]\s*)asset:([\w.\/-]+)/g, (match, prefix, name) => {
+            const asset = assets.get(name);
+            return asset ? prefix + this._dataURL(asset) : match;
+        });
+    }
+
+    /**
+     * Blob URL for an asset served as `type`, made once per asset and type
+     * @private
+     */
+    _assetURL(asset, type) {
+        if (!this.assetURLs.has(asset)) {
+            this.assetURLs.set(asset, new Map());
+        }
+        const urls = this.assetURLs.get(asset);
+        if (!urls.has(type)) {
+            urls.set(type, URL.createObjectURL(new Blob([asset.data], { type })));
+        }
+        return urls.get(type);
+    }
+
+    /**
+     * data: URL holding an asset
+     * @private
+     */
+    _dataURL(asset) {
+        let binary = '';
+        for (let i = 0; i < asset.data.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, asset.data.subarray(i, i + 0x8000));
+        }
+        const type = /^[\w.+-]+\/[\w.+-]+$/.test(asset.type) ? asset.type : 'application/octet-stream';
+        return `data:${type};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Revoke the blob URLs made for the assets of the previous link
+     */
+    releaseAssets() {
+        for (const urls of this.assetURLs.values()) {
+            urls.forEach(url => URL.revokeObjectURL(url));
+        }
+        this.assetURLs.clear();
+    }
+
+    /**
+     * Wrap content rendered into the viewer's own page with a stylesheet scoped to it
+     * @private
+     */
+    _applyStyles(rendered, styles) {
+        const scoped = this.sanitizer.scopeCSS(styles, '.styled-content');
+        return `
+            <div class="styled-content">
+                ${scoped ? `<style>${scoped.replace(/<\/style/gi, '<\\/style')}</style>` : ''}
+                ${rendered}
+            </div>
+        `;
+    }
+
+    /**
+     * Render HTML content in a sandboxed iframe. The document gets an opaque
+     * origin (no allow-same-origin), so it can't reach the viewer's DOM, storage
+     * or cookies, and a CSP that blocks all network access. Scripts only run when
+     * the link was made in interactive mode (metadata.sb).
+     * @private
+     */
+    _renderHTML(content, metadata = {}, styles = '') {
+        // Browsers without srcdoc get the sanitized markup inline, with no scripts or styles
+        if (!('srcdoc' in document.createElement('iframe'))) {
+            return `
+                <div class="html-content">
+                    ${this.sanitizer.sanitize(content)}
+                </div>
+            `;
+        }
+
+        const interactive = metadata.sb === MakeSitesRenderer.SANDBOX_INTERACTIVE;
+        const policy = interactive ? MakeSitesRenderer.CSP_INTERACTIVE : MakeSitesRenderer.CSP_STRICT;
+        const sandbox = interactive ? MakeSitesRenderer.SANDBOX_INTERACTIVE_FLAGS : MakeSitesRenderer.SANDBOX_STRICT_FLAGS;
+        const doc = this._injectCSP(content, policy, styles);
         
         return `
             <div class="html-content">
-                ${sanitized}
+                <iframe class="html-frame" title="Shared page" sandbox="${sandbox}"
+                    referrerpolicy="no-referrer" srcdoc="${this._escapeAttribute(doc)}"></iframe>
             </div>
         `;
     }
 
+    /**
+     * Put a CSP meta tag before any of the content, right after a leading doctype
+     * (so standards mode is kept). The parser then always places it in <head>,
+     * whatever the document looks like. A policy the content declares itself can
+     * only narrow this one, never widen it. Shared styles go right after it, so the
+     * page's own styles still win.
+     * @private
+     */
+    _injectCSP(content, policy, styles = '') {
+        let meta = `<meta http-equiv="Content-Security-Policy" content="${policy}">`;
+        if (styles) {
+            meta += `<style>${styles.replace(/<\/style/gi, '<\\/style')}</style>`;
+        }
+        const doctype = /^\uFEFF?\s*<!doctype[^>]*>/i.exec(content);
+        const end = doctype ? doctype[0].length : 0;
+        return content.slice(0, end) + meta + content.slice(end);
+    }
+
     /**
      * Render Markdown content
      * @private
@@ -65,7 +232,8 @@ class MakeSitesRenderer {
         }
 
         try {
-            const html = this.marked.parse(content);
+            // marked passes raw HTML in the Markdown straight through
+            const html = this.sanitizer.sanitize(this.marked.parse(content));
             return `
                 <div class="markdown-content">
                     ${html}
@@ -78,39 +246,575 @@ class MakeSitesRenderer {
     }
 
     /**
-     * Render JSON content with syntax highlighting
+     * Render JSON content as a collapsible tree, with the pretty-printed source as
+     * the raw view
      * @private
      */
     _renderJSON(content) {
+        let parsed;
         try {
-            const parsed = JSON.parse(content);
-            const formatted = JSON.stringify(parsed, null, 2);
-            
+            parsed = JSON.parse(content);
+        } catch (error) {
+            const offset = this._jsonErrorOffset(content);
+            return this._renderParseError('JSON', content, error.message, offset === null ? null : this._lineAndColumn(content, offset));
+        }
+        
+        return this._renderDataView({
+            title: 'JSON Data',
+            data: parsed,
+            source: JSON.stringify(parsed, null, 2),
+            language: 'json',
+            size: content.length,
+            modes: ['Tree', 'Raw'],
+            startRaw: false
+        });
+    }
+
+    /**
+     * Render a YAML or TOML document as its highlighted source, with the parsed
+     * document available in the JSON tree
+     * @private
+     */
+    async _renderConfig(content, format) {
+        const isTOML = format === 'toml';
+        const name = isTOML ? 'TOML' : 'YAML';
+        const parser = await this._loadParser(isTOML ? 'toml' : 'yaml');
+        if (!parser) {
+            return this._renderText(content);
+        }
+        
+        let data;
+        try {
+            if (isTOML) {
+                data = parser.parse(content);
+            } else {
+                // A stream of several documents becomes an array of them
+                const documents = parser.loadAll(content);
+                data = documents.length === 1 ? documents[0] : documents;
+            }
+            // TOML dates and YAML's .inf/.nan become what JSON would hold; an alias
+            // inside its own anchor makes a cycle, which is reported like a parse error
+            data = JSON.parse(JSON.stringify(data === undefined ? null : data));
+        } catch (error) {
+            // js-yaml counts lines from 0, smol-toml from 1
+            const location = error.mark ? { line: error.mark.line + 1, column: error.mark.column + 1 }
+                : error.line ? { line: error.line, column: error.column }
+                : null;
+            return this._renderParseError(name, content, error.reason || error.message.split('\n')[0], location);
+        }
+        
+        return this._renderDataView({
+            title: `${name} Document`,
+            data,
+            source: content,
+            language: isTOML ? 'toml' : 'yaml',
+            size: content.length,
+            modes: ['JSON tree', 'Source'],
+            startRaw: true
+        });
+    }
+
+    /**
+     * Structured data view shared by JSON, YAML and TOML: stats, a toolbar switching
+     * between the tree and the source, and the tree itself. The viewer wires up the
+     * toolbar, search and path copying.
+     * @private
+     */
+    _renderDataView({ title, data, source, language, size, modes, startRaw }) {
+        const stats = this._jsonStats(data);
+        
+        return `
+            <div class="json-content">
+                <div class="content-header">
+                    <h2>${title}</h2>
+                    <div class="json-stats">
+                        <span class="stat">Objects: ${stats.objects}</span>
+                        <span class="stat">Arrays: ${stats.arrays}</span>
+                        <span class="stat">Values: ${stats.values}</span>
+                        <span class="stat">Depth: ${stats.depth}</span>
+                        <span class="stat">Size: ${this._formatBytes(size)}</span>
+                    </div>
+                </div>
+                <div class="json-toolbar">
+                    <div class="json-modes" role="group" aria-label="View">
+                        <button type="button" class="json-mode" data-mode="tree" aria-pressed="${!startRaw}">${modes[0]}</button>
+                        <button type="button" class="json-mode" data-mode="raw" aria-pressed="${startRaw}">${modes[1]}</button>
+                    </div>
+                    <button type="button" class="json-expand" data-expand="true">Expand all</button>
+                    <button type="button" class="json-expand" data-expand="false">Collapse all</button>
+                    <input type="search" class="json-search" placeholder="Search keys and values..." aria-label="Search keys and values">
+                    <span class="json-match-count"></span>
+                </div>
+                <div class="json-tree"${startRaw ? ' hidden' : ''}>${this._renderJSONNode(data, null, '$', 0)}</div>
+                <pre class="json-display"${startRaw ? '' : ' hidden'}><code class="language-${language}">${this._escapeHTML(source)}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * One node of the JSON tree: objects and arrays are <details> elements, so they
+     * collapse without any script, everything else is a single line
+     * @private
+     */
+    _renderJSONNode(value, key, path, depth) {
+        const label = key === null ? ''
+            : `<span class="json-key${typeof key === 'number' ? ' json-index' : ''}">${this._escapeHTML(String(key))}</span>: `;
+        const copy = `<button type="button" class="json-copy-path" data-path="${this._escapeAttribute(path)}" title="Copy ${this._escapeAttribute(path)}">Copy path</button>`;
+        
+        if (value === null || typeof value !== 'object') {
+            const type = value === null ? 'null' : typeof value;
+            return `<div class="json-leaf">${label}<span class="json-value json-${type}">${this._escapeHTML(JSON.stringify(value))}</span>${copy}</div>`;
+        }
+        
+        const isArray = Array.isArray(value);
+        const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+        if (entries.length === 0) {
+            return `<div class="json-leaf">${label}<span class="json-value json-empty">${isArray ? '[]' : '{}'}</span>${copy}</div>`;
+        }
+        
+        const size = isArray
+            ? `${entries.length} item${entries.length === 1 ? '' : 's'}`
+            : `${entries.length} key${entries.length === 1 ? '' : 's'}`;
+        const children = entries
+            .map(([childKey, child]) => this._renderJSONNode(child, childKey, this._jsonPath(path, childKey), depth + 1))
+            .join('');
+        
+        return `<details class="json-node"${depth < MakeSitesRenderer.JSON_OPEN_DEPTH ? ' open' : ''}>`
+            + `<summary>${label}<span class="json-type">${isArray ? '[ ]' : '{ }'}</span> <span class="json-size">${size}</span>${copy}</summary>`
+            + `<div class="json-children">${children}</div></details>`;
+    }
+
+    /**
+     * JSONPath of a child: `$.name` for identifier keys, `$['odd key']` otherwise, `$[0]` for items
+     * @private
+     */
+    _jsonPath(parent, key) {
+        if (typeof key === 'number') return `${parent}[${key}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(key)) return `${parent}.${key}`;
+        return `${parent}['${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+    }
+
+    /**
+     * Show why a document failed to parse, with the lines around the error and a
+     * caret under it when the parser says where it is
+     * @private
+     */
+    _renderParseError(name, content, message, location) {
+        let context = '';
+        
+        if (location) {
+            const { line, column } = location;
+            const lines = content.split('\n');
+            const first = Math.max(1, line - 2);
+            let last = Math.min(lines.length, line + 2);
+            while (last > line && lines[last - 1].trim() === '') last--;
+            const width = String(last).length;
+            const excerpt = [];
+            for (let number = first; number <= last; number++) {
+                excerpt.push(`${String(number).padStart(width)} | ${lines[number - 1]}`);
+                if (number === line) {
+                    // Keep tabs so the caret lines up with the character above it
+                    excerpt.push(' '.repeat(width) + ' | ' + lines[number - 1].slice(0, column - 1).replace(/[^\t]/g, ' ') + '^');
+                }
+            }
+            context = `<pre class="json-error-context">${this._escapeHTML(excerpt.join('\n'))}</pre>`;
+        }
+        
+        return `
+            <div class="json-content error">
+                <div class="content-header">
+                    <h2>Invalid ${name}</h2>
+                </div>
+                <div class="error-message">
+                    <p>Failed to parse ${name}: ${this._escapeHTML(message)}${location ? ` (line ${location.line}, column ${location.column})` : ''}</p>
+                </div>
+                ${context}
+                <pre class="raw-content"><code>${this._escapeHTML(content)}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * 1-based line and column of an offset into text
+     * @private
+     */
+    _lineAndColumn(text, offset) {
+        const before = text.slice(0, offset).split('\n');
+        return { line: before.length, column: before[before.length - 1].length + 1 };
+    }
+
+    /**
+     * Offset of the first character JSON.parse rejects. Browsers don't agree on whether
+     * (or how) their error messages give one, so the text is scanned here instead.
+     * @private
+     */
+    _jsonErrorOffset(text) {
+        let i = 0;
+        const space = () => {
+            while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+        };
+        const expect = char => {
+            if (text[i] !== char) throw i;
+            i++;
+        };
+        const string = () => {
+            expect('"');
+            while (text[i] !== '"') {
+                if (i >= text.length || text.charCodeAt(i) < 0x20) throw i;
+                if (text[i] === '\\') {
+                    i++;
+                    if (text[i] === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(i + 1, 4))) {
+                        i += 5;
+                    } else if (i < text.length && '"\\/bfnrt'.includes(text[i])) {
+                        i++;
+                    } else {
+                        throw i;
+                    }
+                } else {
+                    i++;
+                }
+            }
+            i++;
+        };
+        const value = () => {
+            space();
+            const char = text[i];
+            if (char === '{' || char === '[') {
+                const close = char === '{' ? '}' : ']';
+                i++;
+                space();
+                if (text[i] === close) {
+                    i++;
+                    return;
+                }
+                for (;;) {
+                    if (char === '{') {
+                        space();
+                        string();
+                        space();
+                        expect(':');
+                    }
+                    value();
+                    space();
+                    if (text[i] !== ',') break;
+                    i++;
+                }
+                expect(close);
+                return;
+            }
+            if (char === '"') {
+                string();
+                return;
+            }
+            const literal = /^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?)/.exec(text.slice(i, i + 400));
+            if (!literal) throw i;
+            i += literal[0].length;
+        };
+        
+        try {
+            value();
+            space();
+            return i < text.length ? i : null;
+        } catch (offset) {
+            // A stack overflow on very deep nesting isn't an offset
+            return typeof offset === 'number' ? offset : null;
+        }
+    }
+
+    /**
+     * Render source code with line numbers, one element per line so the viewer can
+     * link to and select line ranges. The language comes from the `lg` header field,
+     * else the file name in `fn`, else highlight.js guesses.
+     * @private
+     */
+    async _renderCode(content, metadata) {
+        const source = content.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+        await this._loadHighlighter();
+        
+        let highlighted = null;
+        let language = null;
+        if (this.highlightjs) {
+            language = this._codeLanguage(metadata);
+            if (language) {
+                highlighted = this.highlightjs.highlight(source, { language, ignoreIllegals: true }).value;
+            } else if (!metadata.lg && !metadata.fn) {
+                const guess = this.highlightjs.highlightAuto(source);
+                highlighted = guess.value;
+                language = guess.language || null;
+            }
+        }
+        
+        const lines = this._splitHighlightedLines(highlighted === null ? this._escapeHTML(source) : highlighted);
+        const languageName = language ? this.highlightjs.getLanguage(language).name : (metadata.lg || 'Plain text');
+        const code = lines.map((line, index) =>
+            `<span class="code-line" data-line="${index + 1}"><a class="line-number" data-line="${index + 1}">${index + 1}</a><span class="line-text">${line}</span></span>`
+        ).join('');
+        
+        return `
+            <div class="code-content">
+                <div class="content-header">
+                    <h2>${this._escapeHTML(metadata.fn || 'Source Code')}</h2>
+                    <div class="code-stats">
+                        <span class="stat">${this._escapeHTML(languageName)}</span>
+                        <span class="stat">Lines: ${lines.length}</span>
+                        <span class="stat">Size: ${this._formatBytes(content.length)}</span>
+                        <button type="button" class="code-wrap" aria-pressed="false">Wrap lines</button>
+                    </div>
+                </div>
+                <pre class="code-display"><code class="hljs"${language ? ` data-language="${language}"` : ''}>${code}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * highlight.js language for code content: the `lg` field, then the file's
+     * extension or name (`main.py`, `Makefile`), when the bundled build knows it
+     * @private
+     */
+    _codeLanguage(metadata) {
+        const candidates = [];
+        if (metadata.lg) {
+            candidates.push(metadata.lg.toLowerCase());
+        }
+        if (metadata.fn) {
+            const name = metadata.fn.split('/').pop().toLowerCase();
+            const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : '';
+            candidates.push(MakeSitesRenderer.CODE_EXTENSIONS[extension] || extension, name);
+        }
+        return candidates.find(candidate => candidate && this.highlightjs.getLanguage(candidate)) || null;
+    }
+
+    /**
+     * Split highlighted HTML into lines, closing the spans open at each line break
+     * and reopening them on the next line so every line is well-formed on its own
+     * @private
+     */
+    _splitHighlightedLines(html) {
+        const lines = [];
+        const open = [];
+        let line = '';
+        
+        for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+            if (token === '\n') {
+                lines.push(line + '</span>'.repeat(open.length));
+                line = open.join('');
+            } else if (token.startsWith('<span')) {
+                open.push(token);
+                line += token;
+            } else if (token === '</span>') {
+                open.pop();
+                line += token;
+            } else {
+                line += token;
+            }
+        }
+        lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Render a unified diff: a file list with change counts, then each file as a
+     * collapsible section holding both a unified and a side-by-side table. The
+     * viewer switches between the two and jumps to files from the list.
+     * @private
+     */
+    _renderDiff(content) {
+        const files = MakeSitesDiff.parse(content);
+        if (files.length === 0) {
+            return this._renderText(content);
+        }
+        
+        const additions = files.reduce((sum, file) => sum + file.additions, 0);
+        const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+        const counts = file => `<span class="diff-counts"><span class="diff-added">+${file.additions}</span> <span class="diff-removed">-${file.deletions}</span></span>`;
+        const status = file => `<span class="diff-status diff-status-${file.status}" title="${file.status}">${MakeSitesRenderer.DIFF_STATUS[file.status]}</span>`;
+        const name = file => this._escapeHTML(file.status === 'renamed' ? `${file.oldPath} → ${file.newPath}` : file.newPath);
+        
+        const fileList = files.map((file, index) => `
+            <li><button type="button" class="diff-file-link" data-file="${index}">${status(file)} ${name(file)}</button> ${counts(file)}</li>`
+        ).join('');
+        
+        const sections = files.map((file, index) => {
+            let body;
+            if (file.binary) {
+                body = '<p class="diff-empty">Binary file, not shown</p>';
+            } else if (file.hunks.length === 0) {
+                body = '<p class="diff-empty">No content changes</p>';
+            } else {
+                body = this._renderDiffUnified(file) + this._renderDiffSplit(file);
+            }
             return `
-                <div class="json-content">
-                    <div class="content-header">
-                        <h2>JSON Data</h2>
-                        <div class="json-stats">
-                            <span class="stat">Objects: ${this._countObjects(parsed)}</span>
-                            <span class="stat">Size: ${this._formatBytes(content.length)}</span>
+                <details class="diff-file" data-file="${index}" open>
+                    <summary>${status(file)} <span class="diff-path">${name(file)}</span> ${counts(file)}</summary>
+                    <div class="diff-body">${body}</div>
+                </details>`;
+        }).join('');
+        
+        return `
+            <div class="diff-content">
+                <div class="content-header">
+                    <h2>Diff</h2>
+                    <div class="diff-stats">
+                        <span class="stat">Files: ${files.length}</span>
+                        <span class="stat diff-added">+${additions}</span>
+                        <span class="stat diff-removed">-${deletions}</span>
+                        <div class="diff-modes" role="group" aria-label="Layout">
+                            <button type="button" class="diff-mode" data-mode="unified" aria-pressed="true">Unified</button>
+                            <button type="button" class="diff-mode" data-mode="split" aria-pressed="false">Side by side</button>
                         </div>
                     </div>
-                    <pre class="json-display"><code class="language-json">${this._escapeHTML(formatted)}</code></pre>
                 </div>
-            `;
+                <ul class="diff-files">${fileList}</ul>
+                ${sections}
+            </div>
+        `;
+    }
+
+    /**
+     * One file of a diff as a single column of lines with old and new line numbers
+     * @private
+     */
+    _renderDiffUnified(file) {
+        const marker = { context: ' ', add: '+', del: '-' };
+        const rows = [];
+        for (const hunk of file.hunks) {
+            rows.push(this._diffHunkRow(hunk, 3));
+            for (const line of hunk.lines) {
+                if (line.type === 'note') {
+                    rows.push(`<tr class="diff-note"><td colspan="3">\\ ${this._escapeHTML(line.text)}</td></tr>`);
+                    continue;
+                }
+                rows.push(`<tr class="diff-${line.type}">`
+                    + `<td class="diff-num">${line.oldLine ?? ''}</td><td class="diff-num">${line.newLine ?? ''}</td>`
+                    + `<td class="diff-code">${marker[line.type]}${this._escapeHTML(line.text)}</td></tr>`);
+            }
+        }
+        return `<table class="diff-table diff-unified"><tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    /**
+     * One file of a diff side by side: removed lines on the left paired with the
+     * lines that replaced them on the right
+     * @private
+     */
+    _renderDiffSplit(file) {
+        const side = (line, type) => line
+            ? `<td class="diff-num">${type === 'add' ? line.newLine : line.oldLine}</td><td class="diff-code diff-${line.type}">${this._escapeHTML(line.text)}</td>`
+            : '<td class="diff-num diff-blank"></td><td class="diff-code diff-blank"></td>';
+        const rows = [];
+        
+        for (const hunk of file.hunks) {
+            rows.push(this._diffHunkRow(hunk, 4));
+            let removed = [];
+            let added = [];
+            const flush = () => {
+                for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                    rows.push(`<tr>${side(removed[i], 'del')}${side(added[i], 'add')}</tr>`);
+                }
+                removed = [];
+                added = [];
+            };
+            
+            for (const line of hunk.lines) {
+                if (line.type === 'del') {
+                    removed.push(line);
+                } else if (line.type === 'add') {
+                    added.push(line);
+                } else {
+                    flush();
+                    rows.push(line.type === 'note'
+                        ? `<tr class="diff-note"><td colspan="4">\\ ${this._escapeHTML(line.text)}</td></tr>`
+                        : `<tr class="diff-context">${side(line, 'del')}${side(line, 'add')}</tr>`);
+                }
+            }
+            flush();
+        }
+        return `<table class="diff-table diff-split"><tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    /**
+     * `@@ -a,b +c,d @@ section` row opening a hunk
+     * @private
+     */
+    _diffHunkRow(hunk, columns) {
+        const range = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+        return `<tr class="diff-hunk"><td colspan="${columns}">${range}${hunk.section ? ' ' + this._escapeHTML(hunk.section) : ''}</td></tr>`;
+    }
+
+    /**
+     * Render CSV/TSV content as a table. The viewer makes the column headers sort
+     * and the filter box filter; cells carry the sort key of their column's type.
+     * @private
+     */
+    _renderTable(content, format) {
+        let table;
+        try {
+            table = MakeSitesTable.parse(content, { format });
         } catch (error) {
-            return `
-                <div class="json-content error">
-                    <div class="content-header">
-                        <h2>Invalid JSON</h2>
-                    </div>
-                    <div class="error-message">
-                        <p>Failed to parse JSON: ${error.message}</p>
+            return this._renderText(content);
+        }
+        
+        const delimiterNames = { ',': 'Comma', '\t': 'Tab', ';': 'Semicolon', '|': 'Pipe' };
+        const columnStats = table.columns.map(column =>
+            `<span class="stat"><strong>${this._escapeHTML(column.name)}</strong> ${this._describeColumn(column)}</span>`
+        ).join('');
+        
+        const headerCells = table.columns.map((column, index) => `
+            <th class="${column.type}" data-type="${column.type}" aria-sort="none">
+                <button type="button" class="sort-button" data-column="${index}">${this._escapeHTML(column.name)}</button>
+            </th>`
+        ).join('');
+        
+        const bodyRows = table.rows.map((row, rowIndex) => {
+            const cells = table.columns.map((column, index) => {
+                const key = MakeSitesTable.sortKey(row[index], column.type);
+                const sortAttribute = key === null ? '' : ` data-sort="${this._escapeAttribute(String(key))}"`;
+                return `<td class="${column.type}"${sortAttribute}>${this._escapeHTML(row[index])}</td>`;
+            }).join('');
+            return `<tr data-row="${rowIndex}">${cells}</tr>`;
+        }).join('\n');
+        
+        return `
+            <div class="table-content">
+                <div class="content-header">
+                    <h2>Table Data</h2>
+                    <div class="table-stats">
+                        <span class="stat">Rows: ${table.rows.length}</span>
+                        <span class="stat">Columns: ${table.columns.length}</span>
+                        <span class="stat">Delimiter: ${delimiterNames[table.delimiter] || this._escapeHTML(table.delimiter)}</span>
                     </div>
-                    <pre class="raw-content"><code>${this._escapeHTML(content)}</code></pre>
+                    <div class="column-stats">${columnStats}</div>
                 </div>
-            `;
+                <div class="table-toolbar">
+                    <input type="search" class="table-filter" placeholder="Filter rows..." aria-label="Filter rows">
+                    <span class="table-count">${table.rows.length} rows</span>
+                </div>
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr>${headerCells}</tr></thead>
+                        <tbody>${bodyRows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * One-line summary of a table column for the stats header
+     * @private
+     */
+    _describeColumn({ type, stats }) {
+        const number = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        const empty = stats.empty ? `, ${stats.empty} empty` : '';
+        
+        if (stats.filled === 0) return 'empty';
+        if (type === 'number') {
+            return `number: ${number(stats.min)} to ${number(stats.max)}, mean ${number(stats.mean)}${empty}`;
+        }
+        if (type === 'date') {
+            return `date: ${this._escapeHTML(stats.earliest)} to ${this._escapeHTML(stats.latest)}${empty}`;
         }
+        return `text: ${stats.distinct} distinct${empty}`;
     }
 
     /**
@@ -137,32 +841,21 @@ class MakeSitesRenderer {
     }
 
     /**
-     * Load marked.js library dynamically
+     * Load the vendored marked.js
      * @private
      */
     async _loadMarked() {
         if (this.marked) return;
 
         try {
-            // Try to load from CDN
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/marked/marked.min.js';
-            
-            await new Promise((resolve, reject) => {
-                script.onload = resolve;
-                script.onerror = reject;
-                document.head.appendChild(script);
-            });
-
+            await this._loadScript(MakeSitesRenderer.VENDOR_SCRIPTS.marked);
             this.marked = window.marked;
             
             // Configure marked
             if (this.marked) {
                 this.marked.setOptions({
                     breaks: true,
-                    gfm: true,
-                    headerIds: true,
-                    mangle: false
+                    gfm: true
                 });
             }
         } catch (error) {
@@ -170,6 +863,89 @@ class MakeSitesRenderer {
         }
     }
 
+    /**
+     * Load the vendored highlight.js (common languages build)
+     * @private
+     */
+    async _loadHighlighter() {
+        if (this.highlightjs) return;
+
+        try {
+            await this._loadScript(MakeSitesRenderer.VENDOR_SCRIPTS.highlightjs);
+            this.highlightjs = window.hljs || null;
+        } catch (error) {
+            console.warn('Failed to load highlight.js:', error);
+        }
+    }
+
+    /**
+     * Load a vendored YAML or TOML parser
+     * @private
+     */
+    async _loadParser(name) {
+        if (this.parsers[name]) return this.parsers[name];
+
+        try {
+            await this._loadScript(MakeSitesRenderer.VENDOR_SCRIPTS[name]);
+            this.parsers[name] = (name === 'toml' ? window.TOML : window.jsyaml) || null;
+        } catch (error) {
+            console.warn(`Failed to load the ${name.toUpperCase()} parser:`, error);
+        }
+        return this.parsers[name];
+    }
+
+    /**
+     * Add a script from the site once; later calls for the same src share the first load
+     * @private
+     */
+    _loadScript(src) {
+        const loading = MakeSitesRenderer._scriptLoads || (MakeSitesRenderer._scriptLoads = new Map());
+        if (!loading.has(src)) {
+            loading.set(src, new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => {
+                    loading.delete(src); // allow a retry on the next render
+                    reject(new Error(`Failed to load ${src}`));
+                };
+                document.head.appendChild(script);
+            }));
+        }
+        return loading.get(src);
+    }
+
+    /**
+     * Syntax highlight `language-*` code blocks in rendered markup. Blocks in
+     * languages the bundled highlighter doesn't know are left as they are.
+     * @private
+     */
+    async _highlightCode(html) {
+        if (!/class="[^"]*\blanguage-/.test(html)) {
+            return html;
+        }
+
+        await this._loadHighlighter();
+        if (!this.highlightjs) {
+            return html;
+        }
+
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        
+        container.querySelectorAll('pre code[class*="language-"]').forEach(block => {
+            const language = /\blanguage-([\w+#-]+)/.exec(block.className);
+            if (language && this.highlightjs.getLanguage(language[1])) {
+                // highlight.js escapes the text itself and only adds hljs-* spans
+                const result = this.highlightjs.highlight(block.textContent, { language: language[1], ignoreIllegals: true });
+                block.innerHTML = result.value;
+                block.classList.add('hljs');
+            }
+        });
+
+        return container.innerHTML;
+    }
+
     /**
      * Basic markdown-like rendering fallback
      * @private
@@ -196,31 +972,30 @@ class MakeSitesRenderer {
         // Line breaks
         html = html.replace(/\n/g, '<br>');
         
+        // The text is escaped, but link targets still need their schemes checked
         return `
             <div class="markdown-content basic">
-                ${html}
+                ${this.sanitizer.sanitize(html)}
             </div>
         `;
     }
 
     /**
-     * Count objects in JSON structure
+     * Count objects, arrays and primitive values in a JSON structure, and how deep it nests
      * @private
      */
-    _countObjects(obj, count = 0) {
-        if (typeof obj === 'object' && obj !== null) {
-            count++;
-            if (Array.isArray(obj)) {
-                obj.forEach(item => {
-                    count = this._countObjects(item, count);
-                });
-            } else {
-                Object.values(obj).forEach(value => {
-                    count = this._countObjects(value, count);
-                });
-            }
+    _jsonStats(value, depth = 0, stats = { objects: 0, arrays: 0, values: 0, depth: 0 }) {
+        stats.depth = Math.max(stats.depth, depth);
+        if (Array.isArray(value)) {
+            stats.arrays++;
+            value.forEach(item => this._jsonStats(item, depth + 1, stats));
+        } else if (typeof value === 'object' && value !== null) {
+            stats.objects++;
+            Object.values(value).forEach(item => this._jsonStats(item, depth + 1, stats));
+        } else {
+            stats.values++;
         }
-        return count;
+        return stats;
     }
 
     /**
@@ -233,6 +1008,18 @@ class MakeSitesRenderer {
         return div.innerHTML;
     }
 
+    /**
+     * Escape a string for use inside a double-quoted HTML attribute
+     * @private
+     */
+    _escapeAttribute(str) {
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     /**
      * Format bytes for display
      * @private
@@ -246,35 +1033,140 @@ class MakeSitesRenderer {
     }
 
     /**
-     * Create a table of contents for rendered content
+     * Give the headings of a rendered document IDs made from their text and put a
+     * table of contents beside it. Only document formats get one: the headings of
+     * data views (JSON, tables, code) are labels, not sections.
      * @param {string} content - Rendered HTML content
-     * @returns {string} TOC HTML
+     * @param {string} [format] - Content format
+     * @returns {string} Content with heading IDs and the TOC, or unchanged
      */
-    generateTOC(content) {
+    generateTOC(content, format) {
+        if (!MakeSitesRenderer.TOC_FORMATS.includes(format)) return content;
+
         const tempDiv = document.createElement('div');
         tempDiv.innerHTML = content;
         
-        const headings = tempDiv.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        if (headings.length === 0) return '';
+        const headings = Array.from(tempDiv.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        if (headings.length < MakeSitesRenderer.TOC_MIN_HEADINGS) return content;
         
-        let toc = '<div class="table-of-contents"><h3>Contents</h3><ul>';
+        // IDs the author gave (raw HTML in Markdown) stay; the rest are numbered apart from them
+        const taken = new Set(this.sanitizer.reservedIds);
+        tempDiv.querySelectorAll('[id]').forEach(element => taken.add(element.id));
+        const topLevel = headings.reduce((min, heading) => Math.min(min, parseInt(heading.tagName[1], 10)), 6);
         
-        headings.forEach((heading, index) => {
-            const id = `heading-${index}`;
-            heading.id = id;
-            const level = parseInt(heading.tagName[1]);
-            const indent = (level - 1) * 20;
+        let toc = '<nav class="table-of-contents" aria-label="Contents"><h3>Contents</h3><ul>';
+        
+        headings.forEach(heading => {
+            if (!heading.id) {
+                const slug = MakeSitesRenderer.slugify(heading.textContent);
+                let id = slug;
+                for (let n = 1; taken.has(id); n++) {
+                    id = `${slug}-${n}`;
+                }
+                heading.id = id;
+                taken.add(id);
+            }
+            const indent = (parseInt(heading.tagName[1], 10) - topLevel) * 16;
             
             toc += `<li style="margin-left: ${indent}px">
-                <a href="#${id}">${heading.textContent}</a>
+                <a href="#${this._escapeAttribute(encodeURIComponent(heading.id))}">${this._escapeHTML(heading.textContent)}</a>
             </li>`;
         });
         
-        toc += '</ul></div>';
+        toc += '</ul></nav>';
         
-        return toc + content;
+        return `<div class="document-layout">${toc}<div class="document-body">${tempDiv.innerHTML}</div></div>`;
+    }
+
+    /**
+     * Section ID for a heading, as GitHub makes them: lower case, punctuation dropped,
+     * spaces turned into hyphens
+     * @param {string} text - Heading text
+     * @returns {string} Slug; 'section' when nothing is left
+     */
+    static slugify(text) {
+        const slug = text.trim().toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .replace(/\s/g, '-');
+        return slug || 'section';
     }
 }
 
+/**
+ * Formats that are documents with sections, and how many headings one needs for a TOC
+ */
+MakeSitesRenderer.TOC_FORMATS = ['markdown', 'md'];
+MakeSitesRenderer.TOC_MIN_HEADINGS = 2;
+
+/**
+ * Third-party scripts served from js/vendor, loaded the first time they're needed
+ */
+MakeSitesRenderer.VENDOR_SCRIPTS = {
+    marked: 'js/vendor/marked.umd.js',
+    highlightjs: 'js/vendor/highlight.min.js',
+    yaml: 'js/vendor/js-yaml.min.js',
+    toml: 'js/vendor/smol-toml.min.js'
+};
+
+/**
+ * Letters shown for each file status in a diff, as in `git status --short`
+ */
+MakeSitesRenderer.DIFF_STATUS = { modified: 'M', added: 'A', deleted: 'D', renamed: 'R' };
+
+/**
+ * File extensions the bundled highlight.js doesn't know as language aliases
+ */
+MakeSitesRenderer.CODE_EXTENSIONS = {
+    htm: 'xml',
+    vue: 'xml',
+    svelte: 'xml',
+    m: 'objectivec',
+    mk: 'makefile'
+};
+
+/**
+ * Levels of a JSON tree that start expanded; deeper objects and arrays start collapsed
+ */
+MakeSitesRenderer.JSON_OPEN_DEPTH = 2;
+
+/**
+ * HTML sandbox modes, stored in the `sb` header field. Strict (the default when
+ * the field is absent) renders markup and styles only; interactive runs scripts.
+ */
+MakeSitesRenderer.SANDBOX_STRICT = 0;
+MakeSitesRenderer.SANDBOX_INTERACTIVE = 1;
+
+/**
+ * iframe sandbox flags per mode. Neither gets allow-same-origin or
+ * allow-top-navigation: the content can't touch the viewer or navigate it away.
+ * Popups escape the sandbox so links opened in a new tab behave normally.
+ */
+MakeSitesRenderer.SANDBOX_STRICT_FLAGS = 'allow-popups allow-popups-to-escape-sandbox';
+MakeSitesRenderer.SANDBOX_INTERACTIVE_FLAGS = 'allow-scripts allow-forms allow-modals allow-popups allow-popups-to-escape-sandbox';
+
+/**
+ * Content Security Policies injected into sandboxed HTML. Everything must be
+ * inline or a data:/blob: URL, so a shared page can't load trackers or send data anywhere.
+ */
+MakeSitesRenderer.CSP_STRICT = [
+    "default-src 'none'",
+    "style-src 'unsafe-inline'",
+    'img-src data: blob:',
+    'font-src data:',
+    'media-src data: blob:',
+    "form-action 'none'",
+    "base-uri 'none'"
+].join('; ');
+MakeSitesRenderer.CSP_INTERACTIVE = [
+    "default-src 'none'",
+    "script-src 'unsafe-inline'",
+    "style-src 'unsafe-inline'",
+    'img-src data: blob:',
+    'font-src data:',
+    'media-src data: blob:',
+    "form-action 'none'",
+    "base-uri 'none'"
+].join('; ');
+
 // Export for use in other modules
 window.MakeSitesRenderer = MakeSitesRenderer;
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * HTML sanitizer for make-sites
+ * Parses markup into an inert document and rebuilds it from an allowlist of
+ * tags, attributes and URL schemes. Used for everything the viewer inserts
+ * into its own DOM (rendered Markdown, and HTML when it can't be framed).
+ */
+
+class MakeSitesSanitizer {
+    /**
+     * @param {object} [options] - Allowlist overrides; anything omitted uses the defaults below
+     * @param {string[]} [options.allowedTags] - Elements kept (others are unwrapped, keeping their text)
+     * @param {object<string, string[]>} [options.allowedAttributes] - Attributes per tag, '*' for all tags
+     * @param {string[]} [options.allowedSchemes] - URL schemes allowed in href/src (relative URLs always are)
+     * @param {string[]} [options.allowedDataTypes] - MIME types allowed in data: URLs on src
+     * @param {string[]} [options.reservedIds] - IDs of the page's own elements, which content can't take
+     */
+    constructor(options = {}) {
+        this.allowedTags = new Set(options.allowedTags || MakeSitesSanitizer.DEFAULT_TAGS);
+        this.allowedAttributes = options.allowedAttributes || MakeSitesSanitizer.DEFAULT_ATTRIBUTES;
+        this.allowedSchemes = new Set(options.allowedSchemes || MakeSitesSanitizer.DEFAULT_SCHEMES);
+        this.allowedDataTypes = new Set(options.allowedDataTypes || MakeSitesSanitizer.DEFAULT_DATA_TYPES);
+        this.reservedIds = new Set(options.reservedIds || MakeSitesSanitizer.RESERVED_IDS);
+    }
+
+    /**
+     * Sanitize an HTML fragment
+     * @param {string} html - Untrusted markup
+     * @returns {string} Markup containing only allowlisted tags, attributes and URLs
+     */
+    sanitize(html) {
+        // DOMParser documents are inert: nothing in them runs or loads while we work
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html');
+        this._cleanChildren(doc.body);
+        return doc.body.innerHTML;
+    }
+
+    /**
+     * Confine a stylesheet to the elements inside `scope`. Rules are parsed and
+     * re-serialized (so a stray `}` can't close the scope early), nested under the
+     * scope selector, and dropped when they could load anything: no @import, url()
+     * or image-set(). html, body and :root selectors become the scope element itself.
+     * @param {string} css - Untrusted stylesheet
+     * @param {string} scope - Selector of the element the styles apply inside
+     * @returns {string} Scoped stylesheet, empty when the browser can't parse it safely
+     */
+    scopeCSS(css, scope) {
+        if (typeof CSSStyleSheet === 'undefined' || typeof CSSStyleSheet.prototype.replaceSync !== 'function') {
+            return '';
+        }
+
+        const sheet = new CSSStyleSheet();
+        try {
+            sheet.replaceSync(css); // ignores @import
+        } catch (error) {
+            console.warn('Could not parse stylesheet:', error);
+            return '';
+        }
+
+        return Array.from(sheet.cssRules, rule => this._scopeRule(rule, scope)).filter(Boolean).join('\n');
+    }
+
+    /**
+     * Scope a single top-level rule, or drop it
+     * @private
+     */
+    _scopeRule(rule, scope) {
+        const text = rule.cssText;
+        if (/url\s*\(|image-set\s*\(|@import/i.test(text)) {
+            return '';
+        }
+
+        if (rule instanceof CSSStyleRule) {
+            const selector = rule.selectorText
+                .split(',')
+                .map(part => (/^\s*(html|body|:root)\s*$/i.test(part) ? '&' : part))
+                .join(',');
+            return `${scope} { ${selector}${text.slice(rule.selectorText.length)} }`;
+        }
+        if (rule instanceof CSSMediaRule || rule instanceof CSSSupportsRule) {
+            return `${scope} { ${text} }`;
+        }
+        if (rule instanceof CSSKeyframesRule) {
+            return text;
+        }
+        return ''; // @font-face, @page, @layer and anything newer
+    }
+
+    /**
+     * Clean every child of a node, depth first
+     * @private
+     */
+    _cleanChildren(parent) {
+        for (const node of Array.from(parent.childNodes)) {
+            this._cleanNode(node);
+        }
+    }
+
+    /**
+     * Keep, unwrap or remove a single node
+     * @private
+     */
+    _cleanNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove(); // comments, processing instructions, CDATA
+            return;
+        }
+
+        const tag = node.localName;
+
+        // Foreign content (svg, math) parses differently on re-insertion, so it never survives
+        if (MakeSitesSanitizer.DROP_WITH_CONTENT.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+            node.remove();
+            return;
+        }
+
+        this._cleanChildren(node);
+
+        if (!this.allowedTags.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        this._cleanAttributes(node, tag);
+    }
+
+    /**
+     * Remove attributes that aren't allowlisted for the tag or carry unsafe URLs
+     * @private
+     */
+    _cleanAttributes(element, tag) {
+        const allowed = new Set([
+            ...(this.allowedAttributes['*'] || []),
+            ...(this.allowedAttributes[tag] || [])
+        ]);
+
+        for (const { name, value } of Array.from(element.attributes)) {
+            const keep = allowed.has(name) &&
+                (!MakeSitesSanitizer.URL_ATTRIBUTES.has(name) || this._isSafeURL(value, name));
+
+            if (!keep) {
+                element.removeAttribute(name);
+            } else if (name === 'id' && this.reservedIds.has(value)) {
+                // A second element with the page's own ID would take over its lookups
+                element.id = MakeSitesSanitizer.ID_PREFIX + value;
+            } else if (name === 'href' && this.reservedIds.has(this._fragmentOf(value))) {
+                element.setAttribute('href', '#' + MakeSitesSanitizer.ID_PREFIX + this._fragmentOf(value));
+            }
+        }
+
+        // Links opening a new tab must not get a handle on the viewer
+        if (tag === 'a' && element.getAttribute('target')) {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    /**
+     * Target of an in-page link ('#name'), or null for any other URL
+     * @private
+     */
+    _fragmentOf(value) {
+        if (!value.startsWith('#')) return null;
+        try {
+            return decodeURIComponent(value.slice(1));
+        } catch (error) {
+            return value.slice(1);
+        }
+    }
+
+    /**
+     * Whether a URL attribute value is relative or uses an allowed scheme
+     * @private
+     */
+    _isSafeURL(value, attribute) {
+        // Browsers ignore whitespace and control characters inside schemes ("java\tscript:")
+        const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+
+        if (!scheme) {
+            return true; // relative, protocol-relative or fragment
+        }
+
+        const name = scheme[1].toLowerCase();
+        if (name === 'data') {
+            const type = /^data:([^;,]*)/i.exec(url)[1].toLowerCase();
+            return attribute === 'src' && this.allowedDataTypes.has(type);
+        }
+
+        return this.allowedSchemes.has(name);
+    }
+}
+
+/**
+ * Elements removed together with everything inside them
+ */
+MakeSitesSanitizer.DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'noscript', 'noembed', 'noframes', 'xmp', 'plaintext', 'textarea',
+    'select', 'option', 'title', 'head', 'meta', 'link', 'base', 'svg', 'math'
+]);
+
+/**
+ * IDs of the viewer's own elements. Content that uses one gets it prefixed with
+ * ID_PREFIX instead, and its '#id' links follow; generated heading IDs skip them.
+ */
+MakeSitesSanitizer.RESERVED_IDS = ['loading', 'error', 'metadata', 'signature', 'content', 'search'];
+MakeSitesSanitizer.ID_PREFIX = 'user-content-';
+
+/**
+ * Attributes holding URLs, checked against the allowed schemes
+ */
+MakeSitesSanitizer.URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'poster', 'action', 'formaction', 'xlink:href']);
+
+MakeSitesSanitizer.DEFAULT_TAGS = [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+    'mark', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'time', 'tr', 'u', 'ul', 'var', 'wbr'
+];
+
+MakeSitesSanitizer.DEFAULT_ATTRIBUTES = {
+    '*': ['id', 'class', 'title', 'lang', 'dir', 'align'],
+    a: ['href', 'target'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    input: ['type', 'checked', 'disabled'], // Markdown task lists
+    ol: ['start', 'reversed', 'type'],
+    li: ['value'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    time: ['datetime'],
+    details: ['open']
+};
+
+/**
+ * `page:` links point between pages of a bundle and `asset:` URLs at files embedded in
+ * the link; the viewer resolves both after sanitizing
+ */
+MakeSitesSanitizer.DEFAULT_SCHEMES = ['http', 'https', 'mailto', 'tel', 'page', 'asset'];
+
+/**
+ * Raster image types only: SVG documents can carry script
+ */
+MakeSitesSanitizer.DEFAULT_DATA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+
+// Export for use in other modules
+window.MakeSitesSanitizer = MakeSitesSanitizer;
@@ -0,0 +1,121 @@
+/**
+ * Find in page for make-sites
+ * Marks the matches of a query in rendered content, including text inside collapsed
+ * sections, by wrapping them in <mark class="search-match"> elements, and takes the
+ * marks out again. Highlighted code splits a line into many text nodes, so a match may
+ * span several of them and be made of several marks; it never spans two blocks.
+ */
+
+class MakeSitesSearch {
+    /**
+     * Mark every case-insensitive occurrence of a query
+     * @param {Element} root - Element to search in
+     * @param {string} query - Text to find
+     * @param {object} [options]
+     * @param {string} [options.skip] - Selector for more elements whose text isn't searched
+     * @param {string} [options.blocks] - Selector for more elements a match can't cross
+     * @returns {Array<Array<HTMLElement>>} Matches in document order, each the marks it's made of
+     */
+    static highlight(root, query, { skip, blocks } = {}) {
+        if (!query) return [];
+
+        const ignore = [MakeSitesSearch.SKIP, skip].filter(Boolean).join(', ');
+        const boundaries = [MakeSitesSearch.BLOCKS, blocks].filter(Boolean).join(', ');
+
+        // Collect runs of text within one block, with where each node starts in the run
+        const runs = [];
+        let run = null;
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const parent = node.parentElement;
+            if (!node.data || !parent || parent.closest(ignore)) continue;
+
+            const block = parent.closest(boundaries);
+            if (!run || run.block !== block) {
+                run = { block, nodes: [], text: '' };
+                runs.push(run);
+            }
+            run.nodes.push({ node, start: run.text.length, length: node.data.length });
+            run.text += node.data;
+        }
+
+        const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        const ranges = [];
+        for (const entry of runs) {
+            for (const match of entry.text.matchAll(pattern)) {
+                ranges.push({ run: entry, start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        // Wrap from the last match back, so splitting a node leaves the offsets of
+        // the matches before it in that node as they were
+        const matches = [];
+        for (let i = ranges.length - 1; i >= 0; i--) {
+            const { run: entry, start, end } = ranges[i];
+            const marks = [];
+            for (let j = entry.nodes.length - 1; j >= 0; j--) {
+                const { node, start: offset, length } = entry.nodes[j];
+                if (offset + length <= start) break;
+                if (offset >= end) continue;
+                marks.unshift(MakeSitesSearch._wrap(node, Math.max(start, offset) - offset, Math.min(end, offset + length) - offset));
+            }
+            matches.unshift(marks);
+        }
+        return matches;
+    }
+
+    /**
+     * Take out the marks highlight() added, joining the text they split
+     * @param {Element} root - Element that was searched
+     */
+    static clear(root) {
+        const parents = new Set();
+        root.querySelectorAll('mark.search-match').forEach(mark => {
+            parents.add(mark.parentNode);
+            mark.replaceWith(...mark.childNodes);
+        });
+        parents.forEach(parent => parent.normalize());
+    }
+
+    /**
+     * Wrap characters from..to of a text node in a mark
+     * @private
+     */
+    static _wrap(node, from, to) {
+        let target = node;
+        if (from > 0) target = target.splitText(from);
+        if (to - from < target.data.length) target.splitText(to - from);
+
+        const mark = node.ownerDocument.createElement('mark');
+        mark.className = 'search-match';
+        target.replaceWith(mark);
+        mark.appendChild(target);
+        return mark;
+    }
+}
+
+/**
+ * Elements whose text is never searched: it isn't shown, or isn't content. Raw-text
+ * elements among them (title, xmp, iframe...) would show a mark as literal tags.
+ */
+MakeSitesSearch.SKIP = [
+    'script', 'style', 'noscript', 'template', 'textarea', 'title', 'xmp', 'noembed',
+    'noframes', 'iframe', 'object', '[hidden]'
+].join(', ');
+
+/**
+ * Elements that separate text, so a match can't run from one into the next
+ */
+MakeSitesSearch.BLOCKS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li',
+    'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'td', 'th', 'tr', 'ul'
+].join(', ');
+
+// Export for module systems and as a global, like table.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MakeSitesSearch;
+    module.exports.MakeSitesSearch = MakeSitesSearch;
+} else if (typeof globalThis !== 'undefined') {
+    globalThis.MakeSitesSearch = MakeSitesSearch;
+}
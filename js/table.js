@@ -0,0 +1,276 @@
+/**
+ * Delimited tables (CSV, TSV) for make-sites
+ * Parses the content of 'csv' and 'tsv' links into columns and rows: the delimiter
+ * and header row are detected rather than declared, and every column gets a type
+ * (number, date or text) and summary stats for the viewer's table view.
+ *
+ * Fields follow RFC 4180: a field in double quotes may hold delimiters, line breaks
+ * and doubled quotes ("").
+ */
+
+class MakeSitesTable {
+    /**
+     * @param {object} table
+     * @param {Array<string>} table.header - Column names
+     * @param {Array<Array<string>>} table.rows - Data rows, padded to the header's length
+     * @param {string} table.delimiter - Field delimiter
+     * @param {boolean} table.hasHeader - Whether the names came from the first row
+     */
+    constructor({ header, rows, delimiter, hasHeader }) {
+        this.delimiter = delimiter;
+        this.hasHeader = hasHeader;
+        this.rows = rows;
+        this.columns = header.map((name, index) => {
+            const values = rows.map(row => row[index]);
+            const type = MakeSitesTable.inferType(values);
+            return { name, type, stats: MakeSitesTable.summarize(values, type) };
+        });
+    }
+
+    /**
+     * Read a table from delimited text
+     * @param {string} content - CSV/TSV text
+     * @param {object} [options]
+     * @param {string} [options.delimiter] - Skip detection and split on this
+     * @param {string} [options.format] - 'tsv' prefers tabs when detection is undecided
+     * @returns {MakeSitesTable} Parsed table
+     */
+    static parse(content, { delimiter, format } = {}) {
+        const text = content.replace(/^\uFEFF/, '');
+        const separator = delimiter || MakeSitesTable.detectDelimiter(text, format === 'tsv' ? '\t' : ',');
+        const records = MakeSitesTable.splitRows(text, separator);
+        if (records.length === 0) {
+            throw new Error('Invalid table: no rows');
+        }
+
+        const width = records.reduce((max, record) => Math.max(max, record.length), 0);
+        const padded = records.map(record => record.concat(new Array(width - record.length).fill('')));
+
+        const hasHeader = MakeSitesTable.detectHeader(padded);
+        const header = hasHeader
+            ? padded[0].map((name, index) => name.trim() || `Column ${index + 1}`)
+            : padded[0].map((value, index) => `Column ${index + 1}`);
+
+        return new MakeSitesTable({
+            header,
+            rows: hasHeader ? padded.slice(1) : padded,
+            delimiter: separator,
+            hasHeader
+        });
+    }
+
+    /**
+     * Pick the delimiter that splits the first rows into the same number of fields
+     * most consistently, preferring more fields on a tie
+     * @param {string} text - Table text
+     * @param {string} [fallback] - Used when no candidate splits anything
+     * @returns {string} Delimiter
+     */
+    static detectDelimiter(text, fallback = ',') {
+        let best = { delimiter: fallback, consistency: 0, fields: 1 };
+
+        for (const delimiter of MakeSitesTable.DELIMITERS) {
+            const rows = MakeSitesTable.splitRows(text, delimiter, MakeSitesTable.SAMPLE_ROWS);
+            const counts = new Map();
+            rows.forEach(row => counts.set(row.length, (counts.get(row.length) || 0) + 1));
+
+            let fields = 1;
+            let matching = 0;
+            counts.forEach((count, length) => {
+                if (count > matching || (count === matching && length > fields)) {
+                    fields = length;
+                    matching = count;
+                }
+            });
+            if (fields < 2) continue;
+
+            const consistency = matching / rows.length;
+            if (consistency > best.consistency
+                || (consistency === best.consistency && fields > best.fields)
+                || (consistency === best.consistency && fields === best.fields && delimiter === fallback)) {
+                best = { delimiter, consistency, fields };
+            }
+        }
+
+        return best.delimiter;
+    }
+
+    /**
+     * Split delimited text into rows of fields
+     * @param {string} text - Table text
+     * @param {string} delimiter - Field delimiter
+     * @param {number} [limit] - Stop after this many rows
+     * @returns {Array<Array<string>>} Rows; blank lines are skipped
+     */
+    static splitRows(text, delimiter, limit = Infinity) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = 0;
+
+        const endRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            field = '';
+        };
+
+        while (i < text.length && rows.length < limit) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                endRow();
+                if (char === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (rows.length < limit && (field !== '' || row.length > 0)) {
+            endRow();
+        }
+        return rows;
+    }
+
+    /**
+     * Decide whether the first row names the columns: it does when its values don't
+     * match the types of the columns below them, or, for all-text tables, when they
+     * are all filled in and distinct
+     * @param {Array<Array<string>>} rows - Padded rows
+     * @returns {boolean} Whether the first row is a header
+     */
+    static detectHeader(rows) {
+        if (rows.length < 2) return false;
+
+        const [first, ...rest] = rows;
+        let votes = 0;
+        first.forEach((value, index) => {
+            const type = MakeSitesTable.inferType(rest.map(row => row[index]));
+            if (type === 'text' || value.trim() === '') return;
+            votes += MakeSitesTable.typeOf(value) === type ? -1 : 1;
+        });
+        if (votes !== 0) return votes > 0;
+
+        const names = first.map(value => value.trim());
+        return names.every(name => name !== '') && new Set(names).size === names.length;
+    }
+
+    /**
+     * Type of a single value
+     * @param {string} value - Field value
+     * @returns {string|null} 'number', 'date' or 'text'; null for an empty field
+     */
+    static typeOf(value) {
+        const trimmed = value.trim();
+        if (trimmed === '') return null;
+        if (MakeSitesTable.NUMBER.test(trimmed)) return 'number';
+        if (MakeSitesTable.DATE.test(trimmed) && !isNaN(Date.parse(trimmed))) return 'date';
+        return 'text';
+    }
+
+    /**
+     * Type of a column: the type all of its filled-in values share, otherwise text
+     * @param {Array<string>} values - Column values
+     * @returns {string} 'number', 'date' or 'text'
+     */
+    static inferType(values) {
+        let type = null;
+        for (const value of values) {
+            const valueType = MakeSitesTable.typeOf(value);
+            if (valueType === null) continue;
+            if (valueType === 'text' || (type && type !== valueType)) return 'text';
+            type = valueType;
+        }
+        return type || 'text';
+    }
+
+    /**
+     * Value to sort a field by: a number for number and date columns, the trimmed
+     * text otherwise, null when the field is empty
+     * @param {string} value - Field value
+     * @param {string} type - Column type
+     * @returns {number|string|null} Sort key
+     */
+    static sortKey(value, type) {
+        const trimmed = value.trim();
+        if (trimmed === '') return null;
+        if (type === 'number') return Number(trimmed.replace(/,/g, ''));
+        if (type === 'date') return Date.parse(trimmed);
+        return trimmed;
+    }
+
+    /**
+     * Summary stats for a column
+     * @param {Array<string>} values - Column values
+     * @param {string} type - Column type
+     * @returns {object} `filled` and `empty` counts, plus `min`, `max` and `mean` for
+     *   numbers, `earliest` and `latest` for dates, `distinct` for text
+     */
+    static summarize(values, type) {
+        const filled = values.filter(value => value.trim() !== '');
+        const stats = { filled: filled.length, empty: values.length - filled.length };
+        if (filled.length === 0) return stats;
+
+        if (type === 'number') {
+            const numbers = filled.map(value => MakeSitesTable.sortKey(value, type));
+            stats.min = numbers.reduce((min, number) => Math.min(min, number));
+            stats.max = numbers.reduce((max, number) => Math.max(max, number));
+            stats.mean = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+        } else if (type === 'date') {
+            const sorted = filled.map(value => value.trim())
+                .sort((a, b) => Date.parse(a) - Date.parse(b));
+            stats.earliest = sorted[0];
+            stats.latest = sorted[sorted.length - 1];
+        } else {
+            stats.distinct = new Set(filled.map(value => value.trim())).size;
+        }
+        return stats;
+    }
+}
+
+/**
+ * Delimiters tried by detectDelimiter, in order of preference
+ */
+MakeSitesTable.DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Rows detectDelimiter looks at
+ */
+MakeSitesTable.SAMPLE_ROWS = 20;
+
+/**
+ * Values counted as numbers (with optional thousands separators) and as dates
+ * (ISO 8601 dates, optionally with a time)
+ */
+MakeSitesTable.NUMBER = /^[-+]?(\d{1,3}(,\d{3})+(\.\d+)?|\d+(\.\d+)?|\.\d+)([eE][-+]?\d+)?$/;
+MakeSitesTable.DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Export for module systems and as a global, like bundle.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MakeSitesTable;
+    module.exports.MakeSitesTable = MakeSitesTable;
+} else if (typeof globalThis !== 'undefined') {
+    globalThis.MakeSitesTable = MakeSitesTable;
+}
@@ -11,6 +11,13 @@ class MakeSitesViewer {
         this.errorContainer = null;
         this.loadingContainer = null;
         this.metadataContainer = null;
+        this.current = null; // { data, content, metadata, assets, bundle, page, passphrase } of the link on screen
+        this.scrollSpy = null; // Scroll listener marking the TOC entry of the section in view
+        this.searchBar = null;
+        this.actions = null; // Edit button and export menu
+        this.exportMenu = null;
+        this.printOpened = []; // Sections opened for printing, closed again after
+        this.search = { query: '', matches: [], index: -1 }; // Find in page
     }
 
     /**
@@ -18,6 +25,8 @@ class MakeSitesViewer {
      */
     async init() {
         this._setupContainers();
+        this._setupSearch();
+        this._setupActions();
         this._setupEventListeners();
         await this._loadFromURL();
     }
@@ -48,9 +57,11 @@ class MakeSitesViewer {
                             <span class="compression-info"></span>
                             <span class="size-info"></span>
                             <span class="format-info"></span>
+                            <span class="lineage-info"></span>
                             <button class="metadata-toggle" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                         </div>
                     </div>
+                    <div id="signature" class="signature-badge" style="display: none;"></div>
                     <div id="content" class="content-container" style="display: none;"></div>
                 </div>
             `;
@@ -60,6 +71,7 @@ class MakeSitesViewer {
         this.errorContainer = document.getElementById('error');
         this.loadingContainer = document.getElementById('loading');
         this.metadataContainer = document.getElementById('metadata');
+        this.signatureBadge = document.getElementById('signature');
     }
 
     /**
@@ -82,7 +94,14 @@ class MakeSitesViewer {
                         e.preventDefault();
                         this._reloadContent();
                         break;
+                    case 'f':
+                        e.preventDefault();
+                        this._openSearch();
+                        break;
                 }
+            } else if (e.key === '/' && !(e.target.closest && e.target.closest('input, textarea, select, [contenteditable]'))) {
+                e.preventDefault();
+                this._openSearch();
             }
         });
     }
@@ -99,27 +118,205 @@ class MakeSitesViewer {
             return;
         }
 
-        this._showLoading();
-
         try {
-            const { content, metadata } = await this.compression.decompress(hash);
-            const renderedContent = await this.renderer.render(content, metadata);
+            const { data, page, lines, section, search } = this._parseRoute(hash);
+            
+            // Moving between pages of a bundle reuses the decoded bundle
+            if (!this.current || this.current.data !== data) {
+                this._showLoading();
+                const { content, metadata, assets, passphrase } = await this._decompress(data);
+                const bundle = metadata.f === 'bundle' ? MakeSitesBundle.parse(content) : null;
+                this.renderer.releaseAssets();
+                this.current = { data, content, metadata, assets, bundle, passphrase };
+            }
+            
+            if (this.current.bundle) {
+                this.current.page = page;
+                await this._showPage(page);
+                this._selectLines(lines);
+                this._scrollToSection(section);
+                this._restoreSearch(search);
+                return;
+            }
+            
+            const { content, metadata, assets } = this.current;
+            const renderedContent = await this.renderer.render(content, metadata, { assets });
             
             // Add table of contents if applicable
-            const finalContent = this.renderer.generateTOC(renderedContent);
+            const finalContent = this.renderer.generateTOC(renderedContent, metadata.f);
             
             this._showContent(finalContent, metadata);
+            this._selectLines(lines);
+            this._scrollToSection(section);
+            this._restoreSearch(search);
         } catch (error) {
             console.error('Failed to load content:', error);
             this._showError(error.message);
         }
     }
 
+    /**
+     * Split the fragment into the encoded link and its route (see
+     * MakeSitesCompression.parseRoute). The link on screen is known to take a page
+     * name without reading its header again.
+     * @private
+     */
+    _parseRoute(hash) {
+        return MakeSitesCompression.parseRoute(hash, data =>
+            (this.current && this.current.data === data) || MakeSitesCompression.isBundleLink(data));
+    }
+
+    /**
+     * Render a page of the current bundle with the bundle's navigation
+     * @private
+     */
+    async _showPage(name) {
+        const { data, metadata, assets, bundle } = this.current;
+        const page = bundle.getPage(name);
+        if (!page) {
+            throw new Error(`This site has no page named "${name}"`);
+        }
+        
+        const pageMetadata = { ...metadata, f: page.format };
+        // HTML pages are sandboxed and can't route within the viewer, so their
+        // page: links open the page in a new tab instead
+        const content = page.format === 'html'
+            ? page.content.replace(/href=(["'])page:([\w\/-]+)\1/g,
+                (match, quote, target) => `href="${this._pageURL(target)}" target="_blank"`)
+            : page.content;
+        
+        const rendered = await this.renderer.render(content, pageMetadata, { styles: bundle.css, assets });
+        this._showContent(this.renderer.generateTOC(rendered, page.format), pageMetadata);
+        
+        // Links between pages stay within the link, so nothing is decoded again
+        this.contentContainer.querySelectorAll(`a[href^="${MakeSitesBundle.LINK_SCHEME}"]`).forEach(link => {
+            link.setAttribute('href', `#${data}/${link.getAttribute('href').slice(MakeSitesBundle.LINK_SCHEME.length)}`);
+        });
+        
+        if (bundle.pages.length > 1 || bundle.title) {
+            this.contentContainer.prepend(this._createBundleNav(bundle, page));
+        }
+        document.title = bundle.title && page.title !== bundle.title ? `${page.title} · ${bundle.title}` : page.title;
+        window.scrollTo(0, 0);
+    }
+
+    /**
+     * Navigation between the pages of a bundle
+     * @private
+     */
+    _createBundleNav(bundle, current) {
+        const nav = document.createElement('nav');
+        nav.className = 'bundle-nav';
+        nav.setAttribute('aria-label', 'Pages');
+        
+        if (bundle.title) {
+            const title = document.createElement('a');
+            title.className = 'bundle-title';
+            title.href = `#${this.current.data}`;
+            title.textContent = bundle.title;
+            nav.appendChild(title);
+        }
+        
+        const list = document.createElement('ul');
+        for (const page of bundle.pages) {
+            const link = document.createElement('a');
+            link.href = `#${this.current.data}/${page.name}`;
+            link.textContent = page.title;
+            if (page === current) {
+                link.setAttribute('aria-current', 'page');
+            }
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        }
+        nav.appendChild(list);
+        
+        return nav;
+    }
+
+    /**
+     * Absolute viewer URL of a page in the current bundle
+     * @private
+     */
+    _pageURL(name) {
+        return `${window.location.origin}${window.location.pathname}#${this.current.data}/${name}`;
+    }
+
+    /**
+     * Decompress the fragment, asking for the passphrase or key first when the
+     * content is encrypted and the link doesn't carry its own key. The passphrase
+     * comes back with the content, for saving edits under it again.
+     * @private
+     */
+    async _decompress(hash) {
+        const { metadata } = this.compression.inspect(hash);
+        const needsPassphrase = metadata.e === MakeSitesCompression.ENCRYPTION_PASSPHRASE;
+        const needsKey = metadata.e === MakeSitesCompression.ENCRYPTION_SPLIT_KEY &&
+            !hash.includes(MakeSitesCompression.KEY_SEPARATOR);
+        
+        if (!needsPassphrase && !needsKey) {
+            return this.compression.decompress(hash);
+        }
+        
+        let error = '';
+        for (;;) {
+            const secret = await this._promptForSecret(needsPassphrase, error);
+            this._showLoading();
+            try {
+                const result = await this.compression.decompress(hash, needsPassphrase ? { passphrase: secret } : { key: secret });
+                return needsPassphrase ? { ...result, passphrase: secret } : result;
+            } catch (decryptError) {
+                // Anything but a wrong passphrase or key won't get better by asking again
+                if (decryptError.code !== MakeSitesCompression.DECRYPTION_FAILED) throw decryptError;
+                error = decryptError.message.replace(/^Failed to decompress content: /, '');
+            }
+        }
+    }
+
+    /**
+     * Show the unlock form and resolve with what the reader enters
+     * @private
+     */
+    _promptForSecret(isPassphrase, error) {
+        this.contentContainer.innerHTML = `
+            <div class="unlock-container">
+                <h2>🔒 This page is encrypted</h2>
+                <p>${isPassphrase
+                    ? 'Enter the passphrase you were given to decrypt it in your browser.'
+                    : 'This link was shared without its key. Paste the key you received separately.'}</p>
+                <form class="unlock-form">
+                    <input type="${isPassphrase ? 'password' : 'text'}" class="unlock-input"
+                        placeholder="${isPassphrase ? 'Passphrase' : 'Key'}" autocomplete="off" spellcheck="false" required>
+                    <button type="submit">Unlock</button>
+                </form>
+                <p class="unlock-error"></p>
+            </div>
+        `;
+        this.contentContainer.classList.remove('framed');
+        this.contentContainer.querySelector('.unlock-error').textContent = error;
+        this.contentContainer.style.display = 'block';
+        this.loadingContainer.style.display = 'none';
+        this.errorContainer.style.display = 'none';
+        
+        const form = this.contentContainer.querySelector('.unlock-form');
+        const input = form.querySelector('.unlock-input');
+        input.focus();
+        
+        return new Promise(resolve => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                // A pasted key may still have the separator from the full link
+                resolve(isPassphrase ? input.value : input.value.trim().replace(/^\./, ''));
+            });
+        });
+    }
+
     /**
      * Show loading state
      * @private
      */
     _showLoading() {
+        this.actions.hidden = true;
         this.loadingContainer.style.display = 'block';
         this.contentContainer.style.display = 'none';
         this.errorContainer.style.display = 'none';
@@ -131,13 +328,21 @@ class MakeSitesViewer {
      * @private
      */
     _showContent(content, metadata) {
+        this.search.matches = [];
+        this.search.index = -1;
         this.contentContainer.innerHTML = content;
+        // Sandboxed HTML pages get the whole window instead of the reading column
+        this.contentContainer.classList.toggle('framed', !!this.contentContainer.querySelector('.html-frame'));
+        this.contentContainer.classList.remove('editing');
         this.contentContainer.style.display = 'block';
         this.loadingContainer.style.display = 'none';
         this.errorContainer.style.display = 'none';
         
         this._updateMetadata(metadata);
         this._enhanceContent();
+        
+        this.actions.hidden = false;
+        this.exportMenu.querySelector('[data-export="source"]').textContent = `Original file (${this._exportFilename()})`;
     }
 
     /**
@@ -146,6 +351,7 @@ class MakeSitesViewer {
      */
     _showError(message) {
         this.errorContainer.querySelector('.error-message').textContent = message;
+        this.actions.hidden = true;
         this.errorContainer.style.display = 'block';
         this.contentContainer.style.display = 'none';
         this.loadingContainer.style.display = 'none';
@@ -157,6 +363,10 @@ class MakeSitesViewer {
      * @private
      */
     _showHelp() {
+        if (!this.searchBar.hidden) {
+            this._closeSearch({ updateURL: false });
+        }
+        
         const helpContent = `
             <div class="help-content">
                 <h1>🚀 make-sites</h1>
@@ -184,7 +394,23 @@ class MakeSitesViewer {
                         </div>
                         <div class="format-card">
                             <h3>📊 JSON</h3>
-                            <p>Structured data with syntax highlighting</p>
+                            <p>Collapsible tree with search and path copy</p>
+                        </div>
+                        <div class="format-card">
+                            <h3>⚙️ YAML/TOML</h3>
+                            <p>Config files, validated, with a JSON tree view</p>
+                        </div>
+                        <div class="format-card">
+                            <h3>📈 CSV/TSV</h3>
+                            <p>Sortable, filterable tables with column stats</p>
+                        </div>
+                        <div class="format-card">
+                            <h3>💻 Code</h3>
+                            <p>Highlighted source with links to line ranges</p>
+                        </div>
+                        <div class="format-card">
+                            <h3>🔀 Diff</h3>
+                            <p>Patches, unified or side by side</p>
                         </div>
                         <div class="format-card">
                             <h3>📋 Text</h3>
@@ -209,6 +435,7 @@ class MakeSitesViewer {
                     <ul>
                         <li><kbd>Ctrl/Cmd + I</kbd> - Toggle metadata info</li>
                         <li><kbd>Ctrl/Cmd + R</kbd> - Reload content</li>
+                        <li><kbd>/</kbd> or <kbd>Ctrl/Cmd + F</kbd> - Find in page</li>
                     </ul>
                 </div>
 
@@ -220,6 +447,8 @@ class MakeSitesViewer {
         `;
 
         this.contentContainer.innerHTML = helpContent;
+        this.contentContainer.classList.remove('framed', 'editing');
+        this.actions.hidden = true;
         this.contentContainer.style.display = 'block';
         this.loadingContainer.style.display = 'none';
         this.errorContainer.style.display = 'none';
@@ -235,9 +464,28 @@ class MakeSitesViewer {
         const sizeInfo = this.metadataContainer.querySelector('.size-info');
         const formatInfo = this.metadataContainer.querySelector('.format-info');
 
-        compressionInfo.textContent = `Compression: ${metadata.c.toUpperCase()}`;
+        compressionInfo.textContent = `Compression: ${metadata.c.toUpperCase()}${metadata.e ? ' · 🔒 encrypted' : ''}`;
         sizeInfo.textContent = `${this._formatBytes(metadata.cs)} (${metadata.r}% saved)`;
         formatInfo.textContent = `Format: ${metadata.f.toUpperCase()}`;
+        if (metadata.f === 'html') {
+            formatInfo.textContent += metadata.sb === MakeSitesRenderer.SANDBOX_INTERACTIVE ? ' (interactive)' : ' (scripts off)';
+        }
+        
+        // The link's own id, and the one it was edited from, so a chain of edits can be followed
+        const lineageInfo = this.metadataContainer.querySelector('.lineage-info');
+        const forkedFrom = metadata.fk ? ` · forked from ${MakeSitesCompression.formatDigest(metadata.fk)}` : '';
+        lineageInfo.textContent = forkedFrom ? `Forked${forkedFrom}` : '';
+        MakeSitesCompression.linkId(this.current.data).then(id => {
+            lineageInfo.textContent = `Link ${id}${forkedFrom}`;
+        }).catch(error => console.warn('Could not work out the link id:', error));
+        
+        // Only set once the signature has been verified; the fingerprint is what readers
+        // compare against the one the author published
+        if (this.signatureBadge) {
+            this.signatureBadge.textContent = metadata.signer ? `✔ Signed by ${metadata.signer}` : '';
+            this.signatureBadge.title = metadata.signer ? 'Ed25519 signature verified. Compare this key fingerprint with the one the author published.' : '';
+            this.signatureBadge.style.display = metadata.signer ? 'block' : 'none';
+        }
     }
 
     /**
@@ -254,6 +502,7 @@ class MakeSitesViewer {
      * @private
      */
     _reloadContent() {
+        this.current = null;
         this._loadFromURL();
     }
 
@@ -262,17 +511,29 @@ class MakeSitesViewer {
      * @private
      */
     _enhanceContent() {
-        // Add click handlers for TOC links
-        const tocLinks = this.contentContainer.querySelectorAll('.table-of-contents a');
-        tocLinks.forEach(link => {
+        // Links to sections (the TOC's, and #section links in the document) become deep
+        // links, `#<data>#<slug>`, so they can be copied and shared
+        const base = this._routeBase();
+        this.contentContainer.querySelectorAll('a[href^="#"]').forEach(link => {
+            let id;
+            try {
+                id = decodeURIComponent(link.getAttribute('href').slice(1));
+            } catch (error) {
+                return; // Not an encoded section name
+            }
+            const target = id && document.getElementById(id);
+            if (!target || !this.contentContainer.contains(target)) return;
+            
+            link.href = `#${base}#${encodeURIComponent(id)}`;
+            link.dataset.section = id;
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                const target = document.querySelector(link.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({ behavior: 'smooth' });
-                }
+                // Update the address without a hashchange, which would render the page again
+                history.replaceState(null, '', link.getAttribute('href'));
+                target.scrollIntoView({ behavior: 'smooth' });
             });
         });
+        this._setupScrollSpy();
 
         // Add copy buttons to code blocks
         const codeBlocks = this.contentContainer.querySelectorAll('pre code');
@@ -280,7 +541,7 @@ class MakeSitesViewer {
             const button = document.createElement('button');
             button.className = 'copy-button';
             button.textContent = 'Copy';
-            button.onclick = () => this._copyToClipboard(block.textContent, button);
+            button.onclick = () => this._copyToClipboard(this._codeText(block), button);
             
             block.parentElement.style.position = 'relative';
             block.parentElement.appendChild(button);
@@ -293,6 +554,549 @@ class MakeSitesViewer {
             link.setAttribute('rel', 'noopener noreferrer');
             link.insertAdjacentHTML('beforeend', ' ↗');
         });
+
+        // Make CSV/TSV tables sortable and filterable
+        this.contentContainer.querySelectorAll('.table-content').forEach(table => this._enhanceTable(table));
+
+        // Line links and wrapping for source code
+        this.contentContainer.querySelectorAll('.code-content').forEach(code => this._enhanceCode(code));
+
+        // Layout switch and file list for diffs
+        this.contentContainer.querySelectorAll('.diff-content').forEach(diff => this._enhanceDiff(diff));
+
+        // Wire up the JSON tree's toolbar
+        this.contentContainer.querySelectorAll('.json-content:not(.error)').forEach(json => this._enhanceJSON(json));
+    }
+
+    /**
+     * Source code controls: each line number links to its line, shift-click selects
+     * the range from the last clicked line, and the wrap button toggles line wrapping
+     * @private
+     */
+    _enhanceCode(container) {
+        const base = this._routeBase();
+        let lastClicked = null;
+
+        container.querySelectorAll('.line-number').forEach(link => {
+            const line = parseInt(link.dataset.line, 10);
+            link.href = `#${base}:L${line}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const lines = e.shiftKey && lastClicked
+                    ? { start: Math.min(lastClicked, line), end: Math.max(lastClicked, line) }
+                    : { start: line, end: line };
+                lastClicked = line;
+
+                // Update the address without a hashchange, which would render the page again
+                const suffix = lines.start === lines.end ? `:L${lines.start}` : `:L${lines.start}-L${lines.end}`;
+                history.replaceState(null, '', `#${base}${suffix}`);
+                this._selectLines(lines, false);
+            });
+        });
+
+        const wrap = container.querySelector('.code-wrap');
+        wrap.addEventListener('click', () => {
+            const wrapped = container.classList.toggle('wrapped');
+            wrap.setAttribute('aria-pressed', String(wrapped));
+        });
+    }
+
+    /**
+     * Diff controls: the unified/side-by-side switch, and the file list, which opens
+     * and scrolls to the file clicked
+     * @private
+     */
+    _enhanceDiff(container) {
+        const modes = container.querySelectorAll('.diff-mode');
+        modes.forEach(button => {
+            button.addEventListener('click', () => {
+                container.classList.toggle('split', button.dataset.mode === 'split');
+                modes.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+                this._refreshSearch();
+            });
+        });
+
+        container.querySelectorAll('.diff-file-link').forEach(link => {
+            link.addEventListener('click', () => {
+                const file = container.querySelector(`.diff-file[data-file="${link.dataset.file}"]`);
+                file.open = true;
+                file.scrollIntoView({ behavior: 'smooth' });
+            });
+        });
+    }
+
+    /**
+     * Mark the TOC entry of the section being read: the last one whose heading has
+     * scrolled past the top of the window, or the last of all at the end of the page
+     * @private
+     */
+    _setupScrollSpy() {
+        if (this.scrollSpy) {
+            window.removeEventListener('scroll', this.scrollSpy);
+            this.scrollSpy = null;
+        }
+        
+        const links = Array.from(this.contentContainer.querySelectorAll('.table-of-contents a[data-section]'));
+        if (links.length === 0) return;
+        const headings = links.map(link => document.getElementById(link.dataset.section));
+        
+        let frame = 0;
+        const update = () => {
+            frame = 0;
+            const atEnd = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 1;
+            let current = 0;
+            headings.forEach((heading, index) => {
+                if (atEnd || heading.getBoundingClientRect().top <= MakeSitesViewer.SCROLL_SPY_OFFSET) {
+                    current = index;
+                }
+            });
+            links.forEach((link, index) => {
+                link.classList.toggle('active', index === current);
+                if (index === current) {
+                    link.setAttribute('aria-current', 'location');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        };
+        
+        this.scrollSpy = () => {
+            if (!frame) frame = requestAnimationFrame(update);
+        };
+        window.addEventListener('scroll', this.scrollSpy, { passive: true });
+        update();
+    }
+
+    /**
+     * Scroll to a section of the document on screen, when it has one by that ID
+     * @private
+     */
+    _scrollToSection(section) {
+        if (!section) return;
+        
+        const target = document.getElementById(section);
+        if (target && this.contentContainer.contains(target)) {
+            target.scrollIntoView();
+        }
+    }
+
+    /**
+     * The fragment without a line range or section: the link to what's on screen
+     * @private
+     */
+    _routeBase() {
+        return window.location.hash.slice(1)
+            .replace(MakeSitesCompression.SECTION_ANCHOR, '')
+            .replace(MakeSitesCompression.SEARCH_ANCHOR, '')
+            .replace(MakeSitesCompression.LINE_ANCHOR, '');
+    }
+
+    /**
+     * Build the find-in-page bar
+     * @private
+     */
+    _setupSearch() {
+        const bar = document.createElement('div');
+        bar.id = 'search';
+        bar.className = 'search-bar';
+        bar.setAttribute('role', 'search');
+        bar.hidden = true;
+        bar.innerHTML = `
+            <input type="search" class="search-input" placeholder="Find in page" aria-label="Find in page" spellcheck="false">
+            <span class="search-count" aria-live="polite"></span>
+            <button type="button" class="search-previous" title="Previous match (Shift+Enter)" aria-label="Previous match">↑</button>
+            <button type="button" class="search-next" title="Next match (Enter)" aria-label="Next match">↓</button>
+            <button type="button" class="search-close" title="Close (Esc)" aria-label="Close search">×</button>
+        `;
+        (document.querySelector('.viewer-container') || document.body).prepend(bar);
+        this.searchBar = bar;
+
+        const input = bar.querySelector('.search-input');
+        let timer = 0;
+        input.addEventListener('input', () => {
+            // Marking a long document takes a while, so wait for a pause in typing
+            clearTimeout(timer);
+            timer = setTimeout(() => this._runSearch(input.value), MakeSitesViewer.SEARCH_DELAY);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(timer);
+                if (input.value !== this.search.query) {
+                    this._runSearch(input.value);
+                } else {
+                    this._stepSearch(e.shiftKey ? -1 : 1);
+                }
+            } else if (e.key === 'Escape') {
+                clearTimeout(timer);
+                this._closeSearch();
+            }
+        });
+        bar.querySelector('.search-previous').addEventListener('click', () => this._stepSearch(-1));
+        bar.querySelector('.search-next').addEventListener('click', () => this._stepSearch(1));
+        bar.querySelector('.search-close').addEventListener('click', () => this._closeSearch());
+        this._updateSearchCount();
+    }
+
+    /**
+     * Show the find-in-page bar, and search for a query when one is given
+     * @private
+     */
+    _openSearch(query = null, { updateURL = true } = {}) {
+        const input = this.searchBar.querySelector('.search-input');
+        this.searchBar.hidden = false;
+        if (query !== null) {
+            input.value = query;
+            this._runSearch(query, { updateURL });
+        }
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Hide the find-in-page bar and take out its marks
+     * @private
+     */
+    _closeSearch({ updateURL = true } = {}) {
+        this.searchBar.hidden = true;
+        this.searchBar.querySelector('.search-input').value = '';
+        this._runSearch('', { scroll: false, updateURL });
+    }
+
+    /**
+     * Apply the search of a link just opened: the link says what's searched for
+     * @private
+     */
+    _restoreSearch(query) {
+        if (query) {
+            this._openSearch(query, { updateURL: false });
+        } else if (!this.searchBar.hidden) {
+            this._closeSearch({ updateURL: false });
+        }
+    }
+
+    /**
+     * Search again after the content changed under the marks (sorting, filtering,
+     * switching views), keeping the current match where it can
+     * @private
+     */
+    _refreshSearch() {
+        if (this.search.query) {
+            this._runSearch(this.search.query, { scroll: false, updateURL: false });
+        }
+    }
+
+    /**
+     * Mark the matches of a query in the content, opening the collapsed sections
+     * they're in, and go to the first
+     * @private
+     */
+    _runSearch(query, { scroll = true, updateURL = true } = {}) {
+        const state = this.search;
+        const previous = state.index;
+        MakeSitesSearch.clear(this.contentContainer);
+        const frames = this._frameDocuments();
+        frames.forEach(doc => {
+            MakeSitesSearch.clear(doc.body);
+            doc.querySelectorAll('style.search-style').forEach(style => style.remove());
+        });
+        state.query = query;
+        state.matches = MakeSitesSearch.highlight(this.contentContainer, query, {
+            skip: MakeSitesViewer.SEARCH_SKIP,
+            blocks: MakeSitesViewer.SEARCH_BLOCKS
+        });
+
+        // Pages in frames are marked in place, keeping what the reader typed or ran there
+        frames.forEach(doc => {
+            const found = MakeSitesSearch.highlight(doc.body, query);
+            if (found.length === 0) return;
+            const style = doc.createElement('style');
+            style.className = 'search-style';
+            style.textContent = MakeSitesViewer.FRAME_SEARCH_STYLE;
+            doc.head.appendChild(style);
+            state.matches.push(...found);
+        });
+
+        state.matches.forEach(marks => {
+            for (let node = marks[0].closest('details'); node; node = node.parentElement.closest('details')) {
+                node.open = true;
+            }
+        });
+
+        if (state.matches.length === 0) {
+            state.index = -1;
+        } else {
+            state.index = scroll ? 0 : Math.min(Math.max(previous, 0), state.matches.length - 1);
+        }
+        this._markCurrentMatch();
+        if (scroll) this._scrollToMatch();
+        this._updateSearchCount();
+        if (updateURL) this._updateSearchURL();
+    }
+
+    /**
+     * Go to the next (1) or previous (-1) match, wrapping around
+     * @private
+     */
+    _stepSearch(delta) {
+        const state = this.search;
+        if (state.matches.length === 0) return;
+
+        state.index = (state.index + delta + state.matches.length) % state.matches.length;
+        this._markCurrentMatch();
+        this._scrollToMatch();
+        this._updateSearchCount();
+    }
+
+    /**
+     * Set the current match apart from the others
+     * @private
+     */
+    _markCurrentMatch() {
+        this.search.matches.forEach((marks, index) => {
+            marks.forEach(mark => mark.classList.toggle('current', index === this.search.index));
+        });
+    }
+
+    /**
+     * Bring the current match into view
+     * @private
+     */
+    _scrollToMatch() {
+        const match = this.search.matches[this.search.index];
+        if (match) {
+            match[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    /**
+     * Documents of the HTML frames on screen that the viewer can reach into. A sandboxed
+     * page has an opaque origin, so it isn't one of them and isn't searched: writing
+     * the marks in through srcdoc would reload it and lose the reader's input and state.
+     * @private
+     */
+    _frameDocuments() {
+        return Array.from(this.contentContainer.querySelectorAll('.html-frame'), frame => {
+            try {
+                return frame.contentDocument && frame.contentDocument.body ? frame.contentDocument : null;
+            } catch (error) {
+                return null; // Cross-origin
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Show "n of m" and enable the next and previous buttons when there are matches
+     * @private
+     */
+    _updateSearchCount() {
+        const { query, matches, index } = this.search;
+        this.searchBar.querySelector('.search-count').textContent = !query ? ''
+            : matches.length ? `${index + 1} of ${matches.length}` : 'No matches';
+        this.searchBar.querySelectorAll('.search-previous, .search-next').forEach(button => {
+            button.disabled = matches.length === 0;
+        });
+    }
+
+    /**
+     * Put the query in the address so the search can be shared, keeping the rest
+     * @private
+     */
+    _updateSearchURL() {
+        const hash = window.location.hash.slice(1);
+        if (!hash) return;
+
+        const section = MakeSitesCompression.SECTION_ANCHOR.exec(hash);
+        const route = (section ? hash.slice(0, section.index) : hash).replace(MakeSitesCompression.SEARCH_ANCHOR, '');
+        const search = this.search.query ? `?q=${encodeURIComponent(this.search.query)}` : '';
+        // Without a hashchange, which would render the page again
+        history.replaceState(null, '', `#${route}${search}${section ? section[0] : ''}`);
+    }
+
+    /**
+     * Highlight a range of source code lines and, unless told not to, scroll to it
+     * @private
+     */
+    _selectLines(lines, scroll = true) {
+        const code = this.contentContainer.querySelector('.code-content');
+        if (!code) return;
+
+        code.querySelectorAll('.code-line.selected').forEach(line => line.classList.remove('selected'));
+        if (!lines) return;
+
+        const selected = Array.from(code.querySelectorAll('.code-line'))
+            .slice(lines.start - 1, lines.end);
+        selected.forEach(line => line.classList.add('selected'));
+        if (scroll && selected.length) {
+            selected[0].scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Text a code block's copy button copies: for source code, the selected lines (or
+     * all of them) without their line numbers
+     * @private
+     */
+    _codeText(block) {
+        if (!block.closest('.code-content')) {
+            return block.textContent;
+        }
+        const selected = block.querySelectorAll('.code-line.selected');
+        const lines = selected.length ? selected : block.querySelectorAll('.code-line');
+        return Array.from(lines, line => line.querySelector('.line-text').textContent).join('\n');
+    }
+
+    /**
+     * JSON tree controls, also used for YAML and TOML: tree/source toggle, expand and
+     * collapse all, search that marks matches and opens the nodes around them (Enter
+     * moves to the next one), and copying a node's JSONPath
+     * @private
+     */
+    _enhanceJSON(container) {
+        const tree = container.querySelector('.json-tree');
+        const raw = container.querySelector('.json-display');
+        const search = container.querySelector('.json-search');
+        const matchCount = container.querySelector('.json-match-count');
+        const treeControls = container.querySelectorAll('.json-expand, .json-search');
+        let matches = [];
+        let currentMatch = -1;
+
+        // YAML and TOML open on their source, JSON on the tree
+        const modeButtons = container.querySelectorAll('.json-mode');
+        const showMode = (mode) => {
+            const showRaw = mode === 'raw';
+            modeButtons.forEach(button => button.setAttribute('aria-pressed', String(button.dataset.mode === mode)));
+            tree.hidden = showRaw;
+            raw.hidden = !showRaw;
+            treeControls.forEach(control => { control.disabled = showRaw; });
+            this._refreshSearch();
+        };
+        modeButtons.forEach(button => button.addEventListener('click', () => showMode(button.dataset.mode)));
+        showMode(raw.hidden ? 'tree' : 'raw');
+
+        container.querySelectorAll('.json-expand').forEach(button => {
+            button.addEventListener('click', () => {
+                const open = button.dataset.expand === 'true';
+                tree.querySelectorAll('details').forEach((node, index) => {
+                    // The root stays open so collapsing leaves something to expand
+                    node.open = open || index === 0;
+                });
+            });
+        });
+
+        // The buttons sit inside <summary>, so a click would also fold the node
+        tree.addEventListener('click', (e) => {
+            const button = e.target.closest('.json-copy-path');
+            if (!button) return;
+            e.preventDefault();
+            this._copyToClipboard(button.dataset.path, button);
+        });
+
+        const showMatch = (index) => {
+            if (currentMatch >= 0) matches[currentMatch].classList.remove('current');
+            currentMatch = index;
+            matches[index].classList.add('current');
+            matches[index].scrollIntoView({ behavior: 'smooth', block: 'center' });
+            matchCount.textContent = `${index + 1} of ${matches.length}`;
+        };
+
+        search.addEventListener('input', () => {
+            const query = search.value.trim().toLowerCase();
+            matches = [];
+            currentMatch = -1;
+
+            tree.querySelectorAll('.json-key, .json-value').forEach(element => {
+                const text = element.textContent;
+                element.textContent = text;
+                const lower = text.toLowerCase();
+                if (!query || !lower.includes(query)) return;
+
+                const fragment = document.createDocumentFragment();
+                let position = 0;
+                for (let found = lower.indexOf(query); found !== -1; found = lower.indexOf(query, position)) {
+                    fragment.append(text.slice(position, found));
+                    const mark = document.createElement('mark');
+                    mark.textContent = text.slice(found, found + query.length);
+                    fragment.append(mark);
+                    matches.push(mark);
+                    position = found + query.length;
+                }
+                fragment.append(text.slice(position));
+                element.replaceChildren(fragment);
+
+                for (let node = element.closest('details'); node; node = node.parentElement.closest('details')) {
+                    node.open = true;
+                }
+            });
+
+            if (matches.length) {
+                showMatch(0);
+            } else {
+                matchCount.textContent = query ? 'No matches' : '';
+            }
+            // Setting the text above took out the find-in-page marks too
+            this._refreshSearch();
+        });
+
+        search.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && matches.length) {
+                e.preventDefault();
+                showMatch((currentMatch + 1) % matches.length);
+            }
+        });
+    }
+
+    /**
+     * Sort a rendered table by the clicked column (ascending, then descending) and
+     * filter its rows by the text in the filter box
+     * @private
+     */
+    _enhanceTable(container) {
+        const tbody = container.querySelector('tbody');
+        const rows = Array.from(tbody.rows);
+        const filter = container.querySelector('.table-filter');
+        const count = container.querySelector('.table-count');
+        const headers = Array.from(container.querySelectorAll('th'));
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+        headers.forEach((header, column) => {
+            header.querySelector('.sort-button').addEventListener('click', () => {
+                const descending = header.getAttribute('aria-sort') === 'ascending';
+                headers.forEach(other => other.setAttribute('aria-sort', 'none'));
+                header.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+
+                const typed = header.dataset.type !== 'text';
+                const key = row => {
+                    const cell = row.cells[column];
+                    if (!('sort' in cell.dataset)) return null;
+                    return typed ? Number(cell.dataset.sort) : cell.dataset.sort;
+                };
+
+                // Empty cells stay at the bottom either way; ties keep their original order
+                const sorted = rows.slice().sort((a, b) => {
+                    const keyA = key(a);
+                    const keyB = key(b);
+                    if (keyA === null || keyB === null) {
+                        return (keyA === null) - (keyB === null) || a.dataset.row - b.dataset.row;
+                    }
+                    const order = typed ? keyA - keyB : collator.compare(keyA, keyB);
+                    return (descending ? -order : order) || a.dataset.row - b.dataset.row;
+                });
+                tbody.append(...sorted);
+                this._refreshSearch();
+            });
+        });
+
+        filter.addEventListener('input', () => {
+            const query = filter.value.trim().toLowerCase();
+            let shown = 0;
+            rows.forEach(row => {
+                row.hidden = query !== '' && !row.textContent.toLowerCase().includes(query);
+                if (!row.hidden) shown++;
+            });
+            count.textContent = query ? `${shown} of ${rows.length} rows` : `${rows.length} rows`;
+            this._refreshSearch();
+        });
     }
 
     /**
@@ -300,9 +1104,9 @@ class MakeSitesViewer {
      * @private
      */
     async _copyToClipboard(text, button) {
+        const originalText = button.textContent;
         try {
             await navigator.clipboard.writeText(text);
-            const originalText = button.textContent;
             button.textContent = 'Copied!';
             button.classList.add('copied');
             setTimeout(() => {
@@ -313,11 +1117,354 @@ class MakeSitesViewer {
             console.error('Failed to copy:', error);
             button.textContent = 'Failed';
             setTimeout(() => {
-                button.textContent = 'Copy';
+                button.textContent = originalText;
             }, 2000);
         }
     }
 
+    /**
+     * Build the controls shown with content: the edit button and the export menu
+     * (the decoded source, a standalone copy of the rendered content, and printing)
+     * @private
+     */
+    _setupActions() {
+        const actions = document.createElement('div');
+        actions.className = 'viewer-actions';
+        actions.hidden = true;
+        (document.querySelector('.viewer-container') || document.body).append(actions);
+        this.actions = actions;
+
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'edit-button';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => this._showEditor());
+        actions.append(edit);
+
+        const menu = document.createElement('details');
+        menu.className = 'export-menu';
+        menu.innerHTML = `
+            <summary>Export</summary>
+            <div class="export-options">
+                <button type="button" data-export="source">Original file</button>
+                <button type="button" data-export="html">Rendered HTML (standalone)</button>
+                <button type="button" data-export="print">Print / save as PDF</button>
+            </div>
+        `;
+        actions.append(menu);
+        this.exportMenu = menu;
+
+        menu.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-export]');
+            if (!button) return;
+            menu.open = false;
+            try {
+                switch (button.dataset.export) {
+                    case 'source':
+                        this._download(this.current.content, this._exportFilename(), 'text/plain');
+                        break;
+                    case 'html':
+                        this._download(await this._exportHTML(), `${this._exportName()}.html`, 'text/html');
+                        break;
+                    case 'print':
+                        window.print();
+                        break;
+                }
+            } catch (error) {
+                console.error('Export failed:', error);
+                const summary = menu.querySelector('summary');
+                summary.textContent = 'Export failed';
+                setTimeout(() => {
+                    summary.textContent = 'Export';
+                }, 2000);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target)) menu.open = false;
+        });
+
+        // Printing from the browser's own menu gets the same treatment
+        window.addEventListener('beforeprint', () => this._preparePrint());
+        window.addEventListener('afterprint', () => this._restorePrint());
+    }
+
+    /**
+     * Open the decoded content in an editor beside a live preview. Saving encodes it
+     * again with the link's format and options, as a new link that records this one
+     * as the one it was forked from.
+     * @private
+     */
+    _showEditor() {
+        const { content, metadata } = this.current;
+        if (!this.searchBar.hidden) {
+            this._closeSearch();
+        }
+        
+        this.actions.hidden = true;
+        this.contentContainer.classList.remove('framed');
+        this.contentContainer.classList.add('editing');
+        this.contentContainer.innerHTML = `
+            <div class="editor">
+                <div class="editor-toolbar">
+                    <span class="editor-title">Editing</span>
+                    <span class="editor-status" aria-live="polite"></span>
+                    <button type="button" class="editor-cancel">Cancel</button>
+                    <button type="button" class="editor-save" title="Save (Ctrl/Cmd + S)">Save as new link</button>
+                </div>
+                <div class="editor-panes">
+                    <textarea class="editor-source" spellcheck="false" aria-label="Source"></textarea>
+                    <div class="editor-preview" aria-label="Preview"></div>
+                </div>
+            </div>
+        `;
+        
+        const editor = this.contentContainer.querySelector('.editor');
+        const source = editor.querySelector('.editor-source');
+        const preview = editor.querySelector('.editor-preview');
+        const status = editor.querySelector('.editor-status');
+        const save = editor.querySelector('.editor-save');
+        editor.querySelector('.editor-title').textContent = `Editing ${metadata.fn || metadata.f.toUpperCase()}`;
+        source.value = content;
+        
+        if (metadata.sig) {
+            status.textContent = "The new link won't be signed: only the original's author can sign.";
+        } else if (metadata.e) {
+            status.textContent = `The new link is encrypted ${metadata.e === MakeSitesCompression.ENCRYPTION_PASSPHRASE ? 'with the same passphrase' : 'with a new key'}.`;
+        }
+        
+        // Renders finish out of order when typing is fast; only the latest is shown
+        let timer = 0;
+        let renders = 0;
+        const update = async () => {
+            const run = ++renders;
+            try {
+                const html = await this._renderEdited(source.value);
+                if (run === renders) preview.innerHTML = html;
+            } catch (error) {
+                if (run !== renders) return;
+                const message = document.createElement('p');
+                message.className = 'editor-error';
+                message.textContent = error.message;
+                preview.replaceChildren(message);
+            }
+        };
+        source.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(update, MakeSitesViewer.PREVIEW_DELAY);
+        });
+        source.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+                e.preventDefault();
+                save.click();
+            }
+        });
+        
+        save.addEventListener('click', async () => {
+            save.disabled = true;
+            status.textContent = 'Saving...';
+            try {
+                await this._saveEdit(source.value);
+            } catch (error) {
+                console.error('Saving failed:', error);
+                status.textContent = error.message;
+                save.disabled = false;
+            }
+        });
+        editor.querySelector('.editor-cancel').addEventListener('click', () => {
+            if (source.value !== content && !confirm('Discard your changes?')) return;
+            clearTimeout(timer);
+            this._loadFromURL();
+        });
+        
+        update();
+        source.focus();
+    }
+
+    /**
+     * Render edited content for the preview: for a bundle, the page being viewed
+     * (or the first, if the edit renamed it)
+     * @private
+     */
+    async _renderEdited(text) {
+        const { metadata, assets, bundle, page } = this.current;
+        if (!bundle) {
+            return this.renderer.render(text, metadata, { assets });
+        }
+        
+        const edited = MakeSitesBundle.parse(text);
+        const shown = edited.getPage(page) || edited.getPage('');
+        return this.renderer.render(shown.content, { ...metadata, f: shown.format }, { styles: edited.css, assets });
+    }
+
+    /**
+     * Encode edited content with the options of the link it came from and show it.
+     * The old link stays in the history, so Back returns to it.
+     * @private
+     */
+    async _saveEdit(text) {
+        const { data, metadata, assets, bundle, page, passphrase } = this.current;
+        if (bundle) {
+            MakeSitesBundle.parse(text); // report mistakes here rather than after saving
+        }
+        
+        const compressed = await this.compression.compress(text, metadata.f, {
+            timestamp: metadata.ts !== undefined,
+            interactive: metadata.sb === MakeSitesRenderer.SANDBOX_INTERACTIVE,
+            passphrase,
+            splitKey: metadata.e === MakeSitesCompression.ENCRYPTION_SPLIT_KEY,
+            assets,
+            language: metadata.lg,
+            filename: metadata.fn,
+            forkedFrom: data
+        });
+        
+        // Decoding the new link checks it, and keeping the result means a passphrase
+        // isn't asked for again
+        const decoded = await this.compression.decompress(compressed, { passphrase });
+        this.renderer.releaseAssets();
+        this.current = {
+            data: compressed,
+            ...decoded,
+            bundle: bundle ? MakeSitesBundle.parse(decoded.content) : null,
+            page,
+            passphrase
+        };
+        history.pushState(null, '', `#${compressed}${bundle && page ? `/${page}` : ''}`);
+        await this._loadFromURL();
+    }
+
+    /**
+     * Title of what's on screen: the file name the link carries, else the site's
+     * title or the content's first heading
+     * @private
+     */
+    _exportTitle() {
+        const { metadata, bundle } = this.current;
+        if (metadata.fn) return metadata.fn;
+        if (bundle) return document.title;
+        
+        const heading = this.contentContainer.querySelector('h1, h2');
+        return heading ? heading.textContent.trim() : '';
+    }
+
+    /**
+     * Name for exported files, without an extension
+     * @private
+     */
+    _exportName() {
+        const { metadata } = this.current;
+        if (metadata.fn) return metadata.fn;
+        
+        const title = this._exportTitle();
+        return title ? MakeSitesRenderer.slugify(title) : 'make-sites';
+    }
+
+    /**
+     * File name of the decoded source, with the extension of its format
+     * @private
+     */
+    _exportFilename() {
+        const { metadata } = this.current;
+        if (metadata.fn) return metadata.fn;
+        return `${this._exportName()}.${MakeSitesViewer.EXPORT_EXTENSIONS[metadata.f] || 'txt'}`;
+    }
+
+    /**
+     * A self-contained HTML file of what's on screen: the content with the viewer's
+     * styles inlined, embedded images as data: URLs, and no viewer controls. A
+     * sandboxed HTML page is exported as the page itself, with its CSP.
+     * @private
+     */
+    async _exportHTML() {
+        const frame = this.contentContainer.querySelector('.html-frame');
+        if (frame) {
+            return frame.srcdoc;
+        }
+
+        const content = this.contentContainer.cloneNode(true);
+        content.removeAttribute('id');
+        content.removeAttribute('style');
+        MakeSitesSearch.clear(content);
+        content.querySelectorAll(MakeSitesViewer.EXPORT_STRIP).forEach(element => element.remove());
+        content.querySelectorAll('.line-number').forEach(link => link.removeAttribute('href'));
+
+        // Section links stay within the file; others (pages of a bundle) go to the viewer
+        content.querySelectorAll('a[href^="#"]').forEach(link => {
+            link.setAttribute('href', link.dataset.section ? `#${encodeURIComponent(link.dataset.section)}` : link.href);
+        });
+
+        // Blob URLs of embedded images only last as long as this page
+        await Promise.all(Array.from(content.querySelectorAll('[src^="blob:"], [href^="blob:"]'), async element => {
+            const attribute = element.hasAttribute('src') ? 'src' : 'href';
+            const blob = await (await fetch(element.getAttribute(attribute))).blob();
+            element.setAttribute(attribute, await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            }));
+        }));
+
+        const styles = Array.from(document.styleSheets, sheet => {
+            try {
+                return Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+            } catch (error) {
+                return ''; // Another origin's stylesheet can't be read
+            }
+        }).join('\n');
+
+        const doc = document.implementation.createHTMLDocument(this._exportTitle() || document.title);
+        doc.documentElement.lang = document.documentElement.lang || 'en';
+        const charset = doc.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+        const viewport = doc.createElement('meta');
+        viewport.name = 'viewport';
+        viewport.content = 'width=device-width, initial-scale=1';
+        const style = doc.createElement('style');
+        style.textContent = styles;
+        doc.head.prepend(charset, viewport);
+        doc.head.append(style);
+
+        const container = doc.createElement('div');
+        container.className = 'viewer-container';
+        container.appendChild(doc.importNode(content, true));
+        doc.body.appendChild(container);
+        return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+    }
+
+    /**
+     * Save text as a file
+     * @private
+     */
+    _download(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Open collapsed sections (JSON nodes, diff files) for printing
+     * @private
+     */
+    _preparePrint() {
+        this.printOpened = Array.from(this.contentContainer.querySelectorAll('details:not([open])'));
+        this.printOpened.forEach(node => { node.open = true; });
+    }
+
+    /**
+     * Close the sections opened for printing again
+     * @private
+     */
+    _restorePrint() {
+        this.printOpened.forEach(node => { node.open = false; });
+        this.printOpened = [];
+    }
+
     /**
      * Format bytes for display
      * @private
@@ -338,6 +1485,41 @@ class MakeSitesViewer {
     }
 }
 
+/**
+ * What find in page passes over (controls, line numbers, the diff view not shown),
+ * and the lines a match can't run across
+ */
+MakeSitesViewer.SEARCH_SKIP = 'button, .table-of-contents, .bundle-nav, .line-number, .diff-num, ' +
+    '.diff-content:not(.split) .diff-split, .diff-content.split .diff-unified';
+MakeSitesViewer.SEARCH_BLOCKS = '.code-line';
+
+/**
+ * Pause in typing before searching (ms), and how matches look in framed pages
+ */
+MakeSitesViewer.SEARCH_DELAY = 200;
+MakeSitesViewer.FRAME_SEARCH_STYLE = 'mark.search-match { background: #fef08a; color: #0f172a; } ' +
+    'mark.search-match.current { background: #d97706; color: #f8fafc; }';
+
+/**
+ * Extensions of downloaded sources by format ('code' uses the file name it carries),
+ * and the viewer controls left out of exported HTML
+ */
+MakeSitesViewer.EXPORT_EXTENSIONS = {
+    html: 'html', markdown: 'md', json: 'json', text: 'txt', bundle: 'json', csv: 'csv',
+    tsv: 'tsv', yaml: 'yaml', toml: 'toml', code: 'txt', diff: 'diff'
+};
+MakeSitesViewer.EXPORT_STRIP = '.copy-button, .json-copy-path, .json-toolbar, .table-toolbar, .diff-modes, .code-wrap';
+
+/**
+ * Pause in typing before the editor's preview renders again (ms)
+ */
+MakeSitesViewer.PREVIEW_DELAY = 300;
+
+/**
+ * How far below the top of the window a heading counts as the section being read (px)
+ */
+MakeSitesViewer.SCROLL_SPY_OFFSET = 80;
+
 // Initialize viewer when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.makeSitesViewer = new MakeSitesViewer();
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Build the package entry points from js/compression.js
+ *
+ * js/compression.js is already usable as CommonJS and as a browser global,
+ * so only the ES module needs generating: the same source with its
+ * module.exports/global footer swapped for export statements.
+ *
+ *   node scripts/build.js   ->   dist/compression.mjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'compression.js'), 'utf8');
+
+const FOOTER_MARKER = '// Export for module systems';
+const footer = source.lastIndexOf(FOOTER_MARKER);
+if (footer === -1) {
+    throw new Error(`js/compression.js: footer marker "${FOOTER_MARKER}" not found`);
+}
+
+const esm = [
+    '// Generated from js/compression.js by scripts/build.js, do not edit',
+    source.slice(0, footer).trimEnd(),
+    '',
+    'export { MakeSitesCompression };',
+    'export default MakeSitesCompression;',
+    ''
+].join('\n');
+
+fs.mkdirSync(path.join(root, 'dist'), { recursive: true });
+fs.writeFileSync(path.join(root, 'dist', 'compression.mjs'), esm);
+console.log(`Built dist/compression.mjs (${esm.length.toLocaleString()} bytes)`);
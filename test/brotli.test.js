@@ -0,0 +1,104 @@
+/**
+ * Links made with Node's zlib Brotli encoder open in the viewer, through the vendored
+ * pure-JS decoder (js/vendor/brotli-decode.min.js), in both header versions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const util = require('node:util');
+const zlib = require('node:zlib');
+const { SKIP_DOM, createWindow } = require('./dom');
+
+const brotliCompress = util.promisify(zlib.brotliCompress);
+
+// The viewer loads the decoder as a script and finds it as a global, without pako or zlib
+const window = SKIP_DOM ? null : createWindow(['js/vendor/brotli-decode.min.js', 'js/compression.js']);
+const compression = window && new window.MakeSitesCompression();
+
+const SAMPLES = {
+    markdown: '# Release notes\n\n- Faster decoding\n- Smaller links 🚀\n\n```js\nconst x = 1;\n```\n',
+    html: `<!DOCTYPE html><html><body>${'<p class="row">Row of a long report</p>\n'.repeat(2000)}</body></html>`,
+    json: JSON.stringify({ name: 'Zoë', values: Array.from({ length: 500 }, (_, i) => ({ i, square: i * i })) })
+};
+
+const base64url = bytes => Buffer.from(bytes).toString('base64url');
+
+function varint(value) {
+    const bytes = [];
+    while (value > 0x7f) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+    return bytes;
+}
+
+/**
+ * v2 link as the README's wire format describes it: version, codec id 2 (br), format id,
+ * then os (id 1) and h (id 9) fields
+ */
+function v2Link(compressed, original, formatId) {
+    const checksum = crypto.createHash('sha256').update(original).digest().subarray(0, 8);
+    const header = [2, 2, formatId, 1 << 1, ...varint(original.length), (9 << 1) | 1, 8, ...checksum, 0];
+    return base64url(Buffer.concat([Buffer.from(header), compressed]));
+}
+
+/**
+ * v1 link: [uint32 LE length][JSON metadata][data]
+ */
+function v1Link(compressed, format, originalSize) {
+    const metadata = Buffer.from(JSON.stringify({ v: 1, c: 'br', f: format, os: originalSize }));
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(metadata.length);
+    return base64url(Buffer.concat([length, metadata, compressed]));
+}
+
+const FORMAT_IDS = { html: 1, markdown: 2, json: 3 };
+
+test('the decoder is the vendored one', { skip: SKIP_DOM }, () => {
+    assert.equal(typeof window.BrotliDecode, 'function');
+    assert.ok(window.MakeSitesCompression.getCodec('br').canDecode());
+    assert.ok(!window.MakeSitesCompression.getCodec('br').canEncode());
+});
+
+for (const [format, content] of Object.entries(SAMPLES)) {
+    test(`zlib.brotliCompress ${format} opens from a v2 link`, { skip: SKIP_DOM }, async () => {
+        const original = Buffer.from(content);
+        const compressed = await brotliCompress(original, {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11, [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT }
+        });
+        const result = await compression.decompress(v2Link(compressed, original, FORMAT_IDS[format]));
+        assert.equal(result.content, content);
+        assert.equal(result.metadata.c, 'br');
+        assert.equal(result.metadata.f, format);
+    });
+
+    test(`zlib.brotliCompress ${format} opens from a v1 link`, { skip: SKIP_DOM }, async () => {
+        const original = Buffer.from(content);
+        const compressed = await brotliCompress(original);
+        const result = await compression.decompress(v1Link(compressed, format, content.length));
+        assert.equal(result.content, content);
+        assert.equal(result.metadata.c, 'br');
+    });
+}
+
+test('every quality level decodes', { skip: SKIP_DOM }, async () => {
+    const original = Buffer.from(SAMPLES.html);
+    for (let quality = 0; quality <= 11; quality++) {
+        const compressed = zlib.brotliCompressSync(original, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: quality } });
+        const result = await compression.decompress(v2Link(compressed, original, 1));
+        assert.equal(result.content, SAMPLES.html, `quality ${quality}`);
+    }
+});
+
+test('a changed byte fails the checksum instead of showing altered content', { skip: SKIP_DOM }, async () => {
+    const original = Buffer.from('Pay 100 to Alice');
+    const compressed = zlib.brotliCompressSync(original, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 0 } });
+    // Quality 0 on a short text stores it uncompressed, so the text can be edited in place
+    const tampered = Buffer.from(compressed);
+    const at = tampered.indexOf('100');
+    assert.ok(at > 0);
+    tampered[at] = '9'.charCodeAt(0);
+    await assert.rejects(compression.decompress(v2Link(tampered, original, 4)), /Integrity check failed/);
+});
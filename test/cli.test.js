@@ -0,0 +1,83 @@
+/**
+ * bin/make-sites.js decode and inspect on links as the viewer shares them, with the
+ * route suffixes it adds after the data
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { ROOT } = require('./dom');
+
+const CLI = path.join(ROOT, 'bin', 'make-sites.js');
+const BASE_URL = 'https://example.test/make-sites/';
+
+function run(args, input) {
+    return execFileSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+}
+
+const encode = (content, format) => run(['encode', '--format', format, '--codec', 'gz', '--fragment'], content).trim();
+const decode = link => run(['decode', link]);
+
+const MARKDOWN = '# Guide\n\n## Setup\n\nInstall it.\n';
+const CODE = 'one\ntwo\nthree\nfour\n';
+const BUNDLE = JSON.stringify({
+    title: 'Handbook',
+    pages: [
+        { name: 'index', content: '# Welcome' },
+        { name: 'on call', content: '# On call' }
+    ]
+});
+
+test('decode strips a section', () => {
+    const data = encode(MARKDOWN, 'markdown');
+    assert.equal(decode(`${BASE_URL}#${data}#setup`), MARKDOWN);
+    assert.equal(decode(`${data}#setup`), MARKDOWN);
+    assert.equal(decode(`${BASE_URL}#${data}?q=50%-off#50%-off`), MARKDOWN);
+});
+
+test('decode strips a line range', () => {
+    const data = encode(CODE, 'code');
+    assert.equal(decode(`${BASE_URL}#${data}:L2-L3`), CODE);
+    assert.equal(decode(`${BASE_URL}#${data}:L4`), CODE);
+});
+
+test('decode strips a search', () => {
+    const data = encode(MARKDOWN, 'markdown');
+    assert.equal(decode(`${BASE_URL}#${data}?q=install%20it`), MARKDOWN);
+    assert.equal(decode(`${BASE_URL}#${data}?q=install#setup`), MARKDOWN);
+});
+
+test('decode strips a bundle page', () => {
+    const data = encode(BUNDLE, 'bundle');
+    assert.equal(decode(`${BASE_URL}#${data}/on%20call`), BUNDLE);
+    assert.equal(decode(`${BASE_URL}#${data}/index:L1?q=welcome#welcome`), BUNDLE);
+});
+
+test('a / in standard base64 is still part of the data', () => {
+    // Find content whose link has a '_', which is '/' in standard base64
+    let content = MARKDOWN;
+    let data = encode(content, 'markdown');
+    for (let i = 0; !data.includes('_'); i++) {
+        content = `${MARKDOWN}\n${i}\n`;
+        data = encode(content, 'markdown');
+    }
+    const standard = data.replace(/-/g, '+').replace(/_/g, '/');
+    assert.equal(decode(`${BASE_URL}#${standard}#setup`), content);
+});
+
+test('inspect reads links with route suffixes', () => {
+    const data = encode(BUNDLE, 'bundle');
+    for (const suffix of ['', '#welcome', '?q=welcome', ':L1-L2', '/on%20call', '/index?q=x#y']) {
+        const report = JSON.parse(run(['inspect', `${BASE_URL}#${data}${suffix}`, '--json']));
+        assert.equal(report.metadata.f, 'bundle', suffix);
+        assert.equal(report.sizes.fragment, data.length, suffix);
+    }
+});
+
+test('the viewer URL may look like anything', () => {
+    const data = encode(MARKDOWN, 'markdown');
+    for (const url of ['index.html', 'http://localhost:8000/', '/make-sites/index.html', '']) {
+        assert.equal(decode(`${url}#${data}#setup`), MARKDOWN, url);
+    }
+});
@@ -0,0 +1,37 @@
+/**
+ * YAML and TOML documents through the renderer: the data view, and the inline
+ * error when a document can't be shown
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_DOM, createWindow } = require('./dom');
+
+const window = SKIP_DOM ? null : createWindow([
+    'js/vendor/highlight.min.js',
+    'js/vendor/js-yaml.min.js',
+    'js/vendor/smol-toml.min.js',
+    'js/sanitizer.js',
+    'js/rendering.js'
+]);
+const renderer = window && new window.MakeSitesRenderer();
+
+test('YAML and TOML render as a data view', { skip: SKIP_DOM }, async () => {
+    const yaml = await renderer.render('name: site\ntags: [a, b]\n', { f: 'yaml' });
+    assert.match(yaml, /<h2>YAML Document<\/h2>/);
+    const toml = await renderer.render('name = "site"\n[build]\ndate = 2024-01-02\n', { f: 'toml' });
+    assert.match(toml, /<h2>TOML Document<\/h2>/);
+});
+
+test('malformed YAML shows the parse error inline', { skip: SKIP_DOM }, async () => {
+    const html = await renderer.render('a: [1, 2\nb: 3\n', { f: 'yaml' });
+    assert.match(html, /<h2>Invalid YAML<\/h2>/);
+    assert.match(html, /\(line \d+, column \d+\)/);
+});
+
+test('a YAML alias inside its own anchor shows an error instead of failing the page', { skip: SKIP_DOM }, async () => {
+    const html = await renderer.render('node: &loop\n  name: a\n  child: *loop\n', { f: 'yaml' });
+    assert.match(html, /<h2>Invalid YAML<\/h2>/);
+    assert.match(html, /Failed to parse YAML: Converting circular structure to JSON/);
+    assert.match(html, /child: \*loop/);
+});
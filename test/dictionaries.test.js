@@ -0,0 +1,50 @@
+/**
+ * Dictionary links, which the CLI and compressBest pick on their own for HTML, open in
+ * the pages with nothing but the scripts the site serves itself
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { ROOT, SKIP_DOM, createWindow } = require('./dom');
+
+const PAGE = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Report</title></head><body><h1>Report</h1></body></html>';
+
+test('pages load no scripts from other hosts', () => {
+    for (const page of ['index.html', 'compress.html', 'benchmark.html']) {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const external = Array.from(html.matchAll(/<script[^>]*\bsrc="([^"]+)"/g), match => match[1])
+            .filter(src => /^(https?:)?\/\//.test(src));
+        assert.deepEqual(external, [], page);
+    }
+});
+
+test('a dictionary link from the CLI opens with the vendored pako', { skip: SKIP_DOM }, async () => {
+    const fragment = execFileSync(process.execPath, [path.join(ROOT, 'bin', 'make-sites.js'), 'encode', '--format', 'html', '--fragment'], {
+        input: PAGE,
+        encoding: 'utf8'
+    }).trim();
+
+    // The scripts index.html loads for decoding, in its order
+    const window = createWindow(['js/vendor/pako.min.js', 'js/compression.js', 'js/dictionaries.js']);
+    const compression = new window.MakeSitesCompression();
+    const { metadata } = compression.inspect(fragment);
+    assert.equal(metadata.c, 'deflate-raw');
+    assert.ok(metadata.d, 'the CLI picked a dictionary');
+
+    const result = await compression.decompress(fragment);
+    assert.equal(result.content, PAGE);
+});
+
+test('compressBest in the browser picks a dictionary the viewer can read', { skip: SKIP_DOM }, async () => {
+    const window = createWindow(['js/vendor/pako.min.js', 'js/compression.js', 'js/dictionaries.js']);
+    const compression = new window.MakeSitesCompression();
+    const fragment = await compression.compress(PAGE, 'html');
+    assert.ok(compression.inspect(fragment).metadata.d);
+
+    const viewer = createWindow(['js/vendor/pako.min.js', 'js/compression.js', 'js/dictionaries.js']);
+    const result = await new viewer.MakeSitesCompression().decompress(fragment);
+    assert.equal(result.content, PAGE);
+});
@@ -0,0 +1,125 @@
+/**
+ * MakeSitesDiff: reading unified diffs, and creating them from two texts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MakeSitesDiff = require('../js/diff.js');
+
+const text = lines => (lines.length ? lines.join('\n') + '\n' : '');
+
+/**
+ * Apply a parsed single-file diff to the old lines
+ */
+function apply(oldText, diff) {
+    const lines = oldText.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    const [file] = MakeSitesDiff.parse(diff);
+    const output = [];
+    let next = 0;
+    for (const hunk of file.hunks) {
+        const start = hunk.oldLines ? hunk.oldStart - 1 : hunk.oldStart;
+        output.push(...lines.slice(next, start));
+        next = start;
+        for (const line of hunk.lines) {
+            if (line.type === 'context') {
+                assert.equal(lines[next], line.text);
+                output.push(lines[next++]);
+            } else if (line.type === 'del') {
+                assert.equal(lines[next], line.text);
+                next++;
+            } else if (line.type === 'add') {
+                output.push(line.text);
+            }
+        }
+    }
+    output.push(...lines.slice(next));
+    return text(output);
+}
+
+test('parses a git diff with several files', () => {
+    const files = MakeSitesDiff.parse([
+        'diff --git a/src/app.js b/src/app.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,3 +1,3 @@ function main() {',
+        ' one',
+        '-two',
+        '+TWO',
+        ' three',
+        'diff --git a/old.txt b/new.txt',
+        'similarity index 100%',
+        'rename from old.txt',
+        'rename to new.txt',
+        'diff --git a/gone.md b/gone.md',
+        'deleted file mode 100644',
+        '--- a/gone.md',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '--- a line that looks like a header',
+        ''
+    ].join('\n'));
+
+    assert.deepEqual(files.map(file => [file.newPath, file.status, file.additions, file.deletions]), [
+        ['src/app.js', 'modified', 1, 1],
+        ['new.txt', 'renamed', 0, 0],
+        ['gone.md', 'deleted', 0, 1]
+    ]);
+    assert.equal(files[0].hunks[0].section, 'function main() {');
+    assert.deepEqual(files[0].hunks[0].lines.map(line => [line.oldLine, line.newLine]), [[1, 1], [2, null], [null, 2], [3, 3]]);
+    assert.equal(files[2].hunks[0].lines[0].text, '-- a line that looks like a header');
+});
+
+test('creates nothing for texts with the same lines', () => {
+    assert.equal(MakeSitesDiff.create('a\nb\n', 'a\nb'), '');
+});
+
+test('creates a minimal diff with removed lines before added ones', () => {
+    const diff = MakeSitesDiff.create(text(['a', 'b', 'c', 'd']), text(['a', 'x', 'y', 'd']), { oldName: 'before', newName: 'after' });
+    assert.equal(diff, [
+        '--- before',
+        '+++ after',
+        '@@ -1,4 +1,4 @@',
+        ' a',
+        '-b',
+        '-c',
+        '+x',
+        '+y',
+        ' d',
+        ''
+    ].join('\n'));
+});
+
+test('numbers empty ranges after the line they follow', () => {
+    assert.match(MakeSitesDiff.create('', 'new\n'), /^@@ -0,0 \+1,1 @@$/m);
+    assert.match(MakeSitesDiff.create('a\nb\n', 'a\n'), /^@@ -1,2 \+1,1 @@$/m);
+});
+
+test('created diffs apply back to the changed text', () => {
+    let seed = 7;
+    const random = limit => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed % limit;
+    };
+    for (let i = 0; i < 300; i++) {
+        const alphabet = 1 + random(6);
+        const before = text(Array.from({ length: random(40) }, () => `line ${random(alphabet)}`));
+        const after = text(Array.from({ length: random(40) }, () => `line ${random(alphabet)}`));
+        const diff = MakeSitesDiff.create(before, after, { context: random(4) });
+        assert.equal(diff ? apply(before, diff) : before, after);
+    }
+});
+
+test('large inputs diff in linear memory', () => {
+    // 10,000 lines each way used to hold a copy of the search state per edit
+    const before = Array.from({ length: 10000 }, (_, i) => `old ${i}`);
+    const after = Array.from({ length: 10000 }, (_, i) => (i % 3 ? `new ${i}` : `old ${i}`));
+    const heap = process.memoryUsage().heapUsed;
+    const diff = MakeSitesDiff.create(text(before), text(after));
+    assert.ok(process.memoryUsage().heapUsed - heap < 64 * 1024 * 1024);
+    assert.equal(apply(text(before), diff), text(after));
+
+    const rewritten = MakeSitesDiff.create(text(before), text(before.map(line => `${line}!`)));
+    assert.equal(rewritten.split('\n').filter(line => /^[-+][^-+]/.test(line)).length, 20000);
+});
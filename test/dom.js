@@ -0,0 +1,50 @@
+/**
+ * Test helper: a jsdom window with the repo's browser scripts loaded into it,
+ * in order, the way the pages load them with <script> tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// jsdom needs a newer Node than the package itself (it fails to load on 18)
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    // Tests that need a window are skipped
+}
+
+/**
+ * Why tests that need a window can't run here, for their `skip` option; false when they can
+ */
+const SKIP_DOM = JSDOM ? false : `jsdom does not run on Node ${process.versions.node}`;
+
+/**
+ * @param {string[]} files - Scripts to run, relative to the repo root
+ * @param {object} [options]
+ * @param {string} [options.url] - Page URL, fragment included
+ * @returns {Window} The window; its document is empty
+ */
+function createWindow(files, { url = 'https://example.test/' } = {}) {
+    const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    // jsdom has no Web Crypto; the checksum, encryption and signature code needs it
+    Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+    for (const file of files) {
+        window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    }
+
+    // Vendored libraries run above count as loaded, so the renderer doesn't add <script> tags for them
+    if (window.MakeSitesRenderer) {
+        const loaded = files.filter(file => file.startsWith('js/vendor/'));
+        window.MakeSitesRenderer._scriptLoads = new Map(loaded.map(file => [file, Promise.resolve()]));
+    }
+    return window;
+}
+
+module.exports = { ROOT, SKIP_DOM, createWindow };
@@ -0,0 +1,56 @@
+/**
+ * Passphrase encryption: links made again and again under one passphrase, as the
+ * compress page does while you type, derive the key once
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MakeSitesCompression = require('../js/compression.js');
+
+/**
+ * A compression instance counting its PBKDF2 runs
+ */
+function counting() {
+    const compression = new MakeSitesCompression();
+    compression.derivations = 0;
+    const derive = compression._deriveKey.bind(compression);
+    compression._deriveKey = (...args) => {
+        compression.derivations++;
+        return derive(...args);
+    };
+    return compression;
+}
+
+test('the key is derived once per passphrase', async () => {
+    const compression = counting();
+    const first = await compression.compress('draft one', 'text', { codec: 'gz', passphrase: 'right' });
+    const second = await compression.compress('draft two', 'text', { codec: 'gz', passphrase: 'right' });
+    assert.equal(compression.derivations, 1);
+
+    const a = compression._decodeWithMetadata(first).metadata;
+    const b = compression._decodeWithMetadata(second).metadata;
+    assert.deepEqual(a.salt, b.salt);
+    assert.notDeepEqual(a.iv, b.iv);
+
+    const reader = new MakeSitesCompression();
+    assert.equal((await reader.decompress(first, { passphrase: 'right' })).content, 'draft one');
+    assert.equal((await reader.decompress(second, { passphrase: 'right' })).content, 'draft two');
+});
+
+test('a new passphrase gets a new salt and key', async () => {
+    const compression = counting();
+    const first = await compression.compress('notes', 'text', { codec: 'gz', passphrase: 'one' });
+    const second = await compression.compress('notes', 'text', { codec: 'gz', passphrase: 'two' });
+    assert.equal(compression.derivations, 2);
+    assert.notDeepEqual(compression._decodeWithMetadata(first).metadata.salt, compression._decodeWithMetadata(second).metadata.salt);
+    await assert.rejects(new MakeSitesCompression().decompress(second, { passphrase: 'one' }), { code: MakeSitesCompression.DECRYPTION_FAILED });
+});
+
+test('links made at the same time share one derivation', async () => {
+    const compression = counting();
+    const links = await Promise.all(['a', 'b', 'c'].map(text => compression.compress(text, 'text', { codec: 'gz', passphrase: 'right' })));
+    assert.equal(compression.derivations, 1);
+    for (const [i, text] of ['a', 'b', 'c'].entries()) {
+        assert.equal((await compression.decompress(links[i], { passphrase: 'right' })).content, text);
+    }
+});
@@ -0,0 +1,103 @@
+/**
+ * Multi-megabyte content through the chunked base64 and stream code and the public API,
+ * the sizes that used to overflow the call stack
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const MakeSitesCompression = require('../js/compression.js');
+
+const compression = new MakeSitesCompression();
+const MB = 1024 * 1024;
+
+/**
+ * Node added 'deflate-raw' to CompressionStream in 20.12; these tests need it
+ */
+const SKIP_DEFLATE_RAW = MakeSitesCompression.getCodec('deflate-raw').canEncode()
+    ? false : `CompressionStream has no 'deflate-raw' on Node ${process.versions.node}`;
+
+/**
+ * A generated report: repetitive like real ones, but not a single repeated line
+ */
+function report(size) {
+    const rows = [];
+    let length = 0;
+    for (let i = 0; length < size; i++) {
+        const row = `<tr><td>${i}</td><td>host-${(i * 7919) % 1000}</td><td>${((i * 2654435761) % 100000) / 100} ms</td><td>${i % 3 ? 'ok' : 'slow ⚠'}</td></tr>\n`;
+        rows.push(row);
+        length += row.length;
+    }
+    return `<!DOCTYPE html><html><body><table>\n${rows.join('')}</table></body></html>`;
+}
+
+/**
+ * Bytes that don't compress, from a fixed-seed generator
+ */
+function noise(size) {
+    const bytes = new Uint8Array(size);
+    let state = 0x9e3779b9;
+    for (let i = 0; i < size; i++) {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        bytes[i] = state & 0xff;
+    }
+    return bytes;
+}
+
+test('base64url encodes and decodes several MB', () => {
+    // Sizes around the chunk boundaries, then large ones
+    const chunk = MakeSitesCompression.BASE64_CHUNK_SIZE;
+    for (const size of [0, 1, 2, 3, chunk - 1, chunk, chunk + 1, 2 * chunk + 2, 3 * MB, 5 * MB + 1]) {
+        const bytes = noise(size);
+        const encoded = compression._toBase64Url(bytes);
+        assert.equal(encoded, Buffer.from(bytes).toString('base64url'), `encode ${size} bytes`);
+        assert.deepEqual(Buffer.from(compression._fromBase64(encoded)), Buffer.from(bytes), `decode ${size} bytes`);
+    }
+});
+
+test('base64 decoding is lenient on a multi-MB fragment', () => {
+    const bytes = noise(2 * MB + 2);
+    const standard = Buffer.from(bytes).toString('base64');
+    const wrapped = standard.replace(/.{76}/g, '$&\r\n');
+    assert.deepEqual(Buffer.from(compression._fromBase64(wrapped)), Buffer.from(bytes));
+    assert.deepEqual(Buffer.from(compression._fromBase64(encodeURIComponent(standard))), Buffer.from(bytes));
+});
+
+test('streams several MB through CompressionStream and DecompressionStream', { skip: SKIP_DEFLATE_RAW }, async () => {
+    const bytes = new TextEncoder().encode(report(6 * MB));
+    for (const format of ['deflate-raw', 'gzip']) {
+        const compressed = await MakeSitesCompression._transformStream(bytes, new CompressionStream(format));
+        const expected = format === 'gzip' ? zlib.gunzipSync(compressed) : zlib.inflateRawSync(compressed);
+        assert.equal(expected.length, bytes.length, `${format} compress`);
+        assert.ok(Buffer.from(bytes).equals(expected), `${format} compress`);
+
+        const restored = await MakeSitesCompression._transformStream(compressed, new DecompressionStream(format));
+        assert.ok(Buffer.from(bytes).equals(Buffer.from(restored)), `${format} decompress`);
+    }
+});
+
+test('a stream error rejects instead of hanging', { skip: SKIP_DEFLATE_RAW }, async () => {
+    await assert.rejects(MakeSitesCompression._transformStream(noise(3 * MB), new DecompressionStream('deflate-raw')));
+});
+
+test('compress and decompress round-trip a multi-MB report', { skip: SKIP_DEFLATE_RAW }, async () => {
+    const content = report(4 * MB);
+    for (const codec of [undefined, 'gz', 'deflate-raw']) {
+        const fragment = await compression.compress(content, 'html', { codec });
+        assert.match(fragment, /^[A-Za-z0-9_-]+$/);
+        const result = await compression.decompress(fragment);
+        assert.equal(result.content.length, content.length, `codec ${codec || 'best'}`);
+        assert.ok(result.content === content, `codec ${codec || 'best'}`);
+        assert.equal(result.metadata.os, Buffer.byteLength(content));
+    }
+});
+
+test('compress and decompress round-trip multi-MB incompressible content', async () => {
+    // Latin-1 text from random bytes: every UTF-8 sequence it becomes is two bytes or one
+    const content = Buffer.from(noise(3 * MB)).toString('latin1');
+    const fragment = await compression.compress(content, 'text');
+    const result = await compression.decompress(fragment);
+    assert.ok(result.content === content);
+});
@@ -0,0 +1,31 @@
+/**
+ * MakeSitesCompression.parseRoute: the viewer's route suffixes after the link data
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MakeSitesCompression = require('../js/compression.js');
+
+const DATA = 'AgIBBQ';
+const bundle = () => true;
+const single = () => false;
+
+test('splits off every suffix', () => {
+    assert.deepEqual(MakeSitesCompression.parseRoute(`${DATA}/on%20call:L2-L1?q=install%20it#set%20up`, bundle), {
+        data: DATA, page: 'on call', lines: { start: 1, end: 2 }, section: 'set up', search: 'install it'
+    });
+    assert.deepEqual(MakeSitesCompression.parseRoute(DATA, single), {
+        data: DATA, page: '', lines: null, section: '', search: ''
+    });
+});
+
+test('a / is only a page outside bundles', () => {
+    assert.deepEqual(MakeSitesCompression.parseRoute(`${DATA}/x`, single).data, `${DATA}/x`);
+});
+
+test('a stray % is kept as typed instead of failing the link', () => {
+    assert.deepEqual(MakeSitesCompression.parseRoute(`${DATA}/100%25%/ok?q=50%-off#50%-off`, bundle), {
+        data: DATA, page: '100%25%/ok', lines: null, section: '50%-off', search: '50%-off'
+    });
+    assert.equal(MakeSitesCompression.parseRoute(`${DATA}#%E0%A4%A`, single).section, '%E0%A4%A');
+});
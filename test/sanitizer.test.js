@@ -0,0 +1,164 @@
+/**
+ * Known XSS vectors against MakeSitesSanitizer, alone and behind the Markdown renderer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_DOM, createWindow } = require('./dom');
+
+const window = SKIP_DOM ? null : createWindow(['js/sanitizer.js']);
+const sanitizer = window && new window.MakeSitesSanitizer();
+
+/**
+ * Fail if markup, parsed as the viewer would insert it, holds anything that can run
+ */
+function assertSafe(html) {
+    const template = window.document.createElement('template');
+    template.innerHTML = html;
+    for (const element of template.content.querySelectorAll('*')) {
+        assert.ok(!/^(script|iframe|svg|math|style|object|embed|template)$/.test(element.localName),
+            `<${element.localName}> survived: ${html}`);
+        for (const { name, value } of Array.from(element.attributes)) {
+            assert.ok(!name.startsWith('on'), `${name} survived: ${html}`);
+            assert.ok(name !== 'srcdoc', `srcdoc survived: ${html}`);
+            assert.ok(!/^\s*(javascript|vbscript|data):/i.test(value.replace(/[\u0000- ]/g, '')) || /^data:image\/(png|jpeg|gif|webp|avif)[;,]/i.test(value),
+                `${name}="${value}" survived: ${html}`);
+        }
+    }
+}
+
+const VECTORS = {
+    'svg with script': '<svg><script>alert(1)</script></svg>',
+    'svg onload': '<svg onload="alert(1)"><circle r="1"/></svg>',
+    'svg animate href': '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a></svg>',
+    'img onerror': '<img src="x" onerror="alert(1)">',
+    'img onerror unquoted': '<img src=x onerror=alert(1)//>',
+    'javascript: href': '<a href="javascript:alert(1)">x</a>',
+    'mixed case scheme': '<a href="JaVaScRiPt:alert(1)">x</a>',
+    'tab inside scheme': '<a href="java\tscript:alert(1)">x</a>',
+    'entity-encoded tab': '<a href="jav&#x09;ascript:alert(1)">x</a>',
+    'entity-encoded scheme': '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    'padded decimal entities': '<a href="&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)">x</a>',
+    'leading space and newline': '<a href=" &#10;javascript:alert(1)">x</a>',
+    'vbscript: href': '<a href="vbscript:msgbox(1)">x</a>',
+    'data: html href': '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    'data: svg image': '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+    'iframe srcdoc': '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    'iframe javascript src': '<iframe src="javascript:alert(1)"></iframe>',
+    'object data': '<object data="javascript:alert(1)"></object>',
+    'embed src': '<embed src="javascript:alert(1)">',
+    'math mglyph style mXSS': '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    'form math mXSS': '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+    'math href': '<math href="javascript:alert(1)"><mi>x</mi></math>',
+    'noscript breakout': '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    'style breakout': '<style></style><img src=x onerror=alert(1)>',
+    'template contents': '<template><img src=x onerror=alert(1)></template>',
+    'formaction': '<button formaction="javascript:alert(1)">x</button>',
+    'details ontoggle': '<details open ontoggle="alert(1)"><summary>x</summary></details>',
+    'comment breakout': '<!--<img src="--><img src=x onerror=alert(1)//">',
+    'nested tags': '<scr<script>ipt>alert(1)</script>',
+    'meta refresh': '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    'base href': '<base href="javascript:alert(1)//">'
+};
+
+test('removes script from known XSS vectors', { skip: SKIP_DOM }, async (t) => {
+    for (const [name, vector] of Object.entries(VECTORS)) {
+        await t.test(name, () => {
+            assertSafe(sanitizer.sanitize(vector));
+        });
+    }
+});
+
+test('output is stable when parsed again (no mutation XSS)', { skip: SKIP_DOM }, async (t) => {
+    for (const [name, vector] of Object.entries(VECTORS)) {
+        await t.test(name, () => {
+            const once = sanitizer.sanitize(vector);
+            assert.equal(sanitizer.sanitize(once), once);
+        });
+    }
+});
+
+test('keeps safe markup', { skip: SKIP_DOM }, () => {
+    assert.equal(
+        sanitizer.sanitize('<p class="note">See <a href="https://example.com" target="_blank">this</a> <img src="asset:logo.png" alt="logo"></p>'),
+        '<p class="note">See <a href="https://example.com" target="_blank" rel="noopener noreferrer">this</a> <img src="asset:logo.png" alt="logo"></p>'
+    );
+    assert.equal(sanitizer.sanitize('<a href="page:setup">next</a>'), '<a href="page:setup">next</a>');
+    assert.equal(sanitizer.sanitize('<img src="data:image/png;base64,AAAA">'), '<img src="data:image/png;base64,AAAA">');
+});
+
+test('unwraps unknown tags but keeps their text', { skip: SKIP_DOM }, () => {
+    assert.equal(sanitizer.sanitize('<custom-tag>hello <b>there</b></custom-tag>'), 'hello <b>there</b>');
+});
+
+test('raw HTML inside Markdown is sanitized', { skip: SKIP_DOM }, async (t) => {
+    const page = createWindow([
+        'js/vendor/marked.umd.js',
+        'js/sanitizer.js',
+        'js/rendering.js'
+    ]);
+    const renderer = new page.MakeSitesRenderer();
+    const render = content => renderer.render(content, { f: 'markdown' });
+
+    await t.test('inline and block HTML', async () => {
+        const html = await render([
+            '# Notes',
+            '',
+            'Inline <img src=x onerror=alert(1)> image and <a href="javascript:alert(1)">link</a>.',
+            '',
+            '<div onclick="alert(1)"><script>alert(1)</script><iframe srcdoc="<script>alert(1)</script>"></iframe></div>',
+            '',
+            '<svg><script>alert(1)</script></svg>',
+            '',
+            '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>'
+        ].join('\n'));
+        assertSafe(html);
+        assert.match(html, /<h1[^>]*>Notes<\/h1>/);
+    });
+
+    await t.test('Markdown links and images', async () => {
+        const html = await render([
+            '[click](javascript:alert(1)) [encoded](&#106;avascript:alert(1)) [ok](https://example.com)',
+            '',
+            '![x](javascript:alert(1)) ![svg](data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+)',
+            '',
+            '<javascript:alert(1)>'
+        ].join('\n'));
+        assertSafe(html);
+        assert.match(html, /href="https:\/\/example\.com"/);
+    });
+});
+
+test('content can not take the viewer\'s element IDs', { skip: SKIP_DOM }, async (t) => {
+    await t.test('reserved IDs are prefixed and links to them follow', () => {
+        assert.equal(
+            sanitizer.sanitize('<div id="content"><a href="#content">top</a> <a href="#search">find</a> <a href="#intro">intro</a></div><p id="intro">x</p>'),
+            '<div id="user-content-content"><a href="#user-content-content">top</a> <a href="#user-content-search">find</a> <a href="#intro">intro</a></div><p id="intro">x</p>'
+        );
+        for (const id of window.MakeSitesSanitizer.RESERVED_IDS) {
+            const template = window.document.createElement('template');
+            template.innerHTML = sanitizer.sanitize(`<span id="${id}"></span>`);
+            assert.equal(template.content.getElementById(id), null, id);
+        }
+    });
+
+    await t.test('the list can be changed', () => {
+        const custom = new window.MakeSitesSanitizer({ reservedIds: ['app'] });
+        assert.equal(custom.sanitize('<p id="app"></p><p id="content"></p>'), '<p id="user-content-app"></p><p id="content"></p>');
+    });
+
+    await t.test('Markdown headings and raw HTML leave the viewer\'s IDs alone', async () => {
+        const page = createWindow(['js/vendor/marked.umd.js', 'js/sanitizer.js', 'js/rendering.js']);
+        const renderer = new page.MakeSitesRenderer();
+        const rendered = await renderer.render('# Content\n\n## Search\n\n<p id="metadata">raw</p>\n\n[back](#content)', { f: 'markdown' });
+        const html = renderer.generateTOC(rendered, 'markdown');
+
+        const container = page.document.createElement('div');
+        container.innerHTML = html;
+        for (const id of page.MakeSitesSanitizer.RESERVED_IDS) {
+            assert.equal(container.querySelector(`[id="${id}"]`), null, id);
+        }
+        assert.ok(container.querySelector('#user-content-metadata'));
+        assert.deepEqual(Array.from(container.querySelectorAll('h1, h2'), heading => heading.id), ['content-1', 'search-1']);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Find in page: marking matches in the viewer's content and in framed pages
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_DOM, createWindow } = require('./dom');
+
+/**
+ * A viewer showing markup, with its search bar set up
+ */
+function viewerShowing(html) {
+    const window = createWindow([
+        'js/compression.js',
+        'js/search.js',
+        'js/sanitizer.js',
+        'js/rendering.js',
+        'js/viewer.js'
+    ]);
+    // jsdom doesn't lay out, so there's nothing to scroll
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    const viewer = new window.MakeSitesViewer();
+    viewer._setupContainers();
+    viewer._setupSearch();
+    viewer._setupActions();
+    viewer.contentContainer.innerHTML = html;
+    return { window, viewer };
+}
+
+test('a page the viewer can reach is marked in place, without reloading it', { skip: SKIP_DOM }, () => {
+    const { viewer } = viewerShowing('<p>Release notes</p><div class="html-content"><iframe class="html-frame"></iframe></div>');
+    const frame = viewer.contentContainer.querySelector('.html-frame');
+    const doc = frame.contentDocument;
+    frame.contentWindow.HTMLElement.prototype.scrollIntoView = () => {};
+    doc.body.innerHTML = '<p>Notes from the release</p><input value="typed by the reader">';
+    const input = doc.querySelector('input');
+    input.value = 'changed since';
+
+    viewer._runSearch('notes');
+    assert.equal(viewer.search.matches.length, 2);
+    assert.equal(doc.querySelectorAll('mark.search-match').length, 1);
+    assert.equal(doc.querySelectorAll('style.search-style').length, 1);
+    assert.equal(frame.hasAttribute('srcdoc'), false);
+
+    viewer._stepSearch(1);
+    assert.ok(doc.querySelector('mark.search-match').classList.contains('current'));
+
+    viewer._runSearch('');
+    assert.equal(doc.querySelectorAll('mark, style.search-style').length, 0);
+    assert.equal(doc.body.querySelector('p').textContent, 'Notes from the release');
+    assert.equal(doc.querySelector('input'), input);
+    assert.equal(input.value, 'changed since');
+});
+
+test('a sandboxed page it can\'t reach is left alone', { skip: SKIP_DOM }, () => {
+    const srcdoc = '<!DOCTYPE html><p>Notes</p>';
+    const { window, viewer } = viewerShowing('<p>Notes</p><div class="html-content"><iframe class="html-frame" sandbox=""></iframe></div>');
+    const frame = viewer.contentContainer.querySelector('.html-frame');
+    frame.setAttribute('srcdoc', srcdoc);
+    // As in a browser: an opaque origin has no document the viewer can see
+    Object.defineProperty(frame, 'contentDocument', { get: () => null });
+
+    viewer._runSearch('notes');
+    assert.equal(viewer.search.matches.length, 1);
+    viewer._runSearch('note');
+    viewer._runSearch('');
+    assert.equal(frame.getAttribute('srcdoc'), srcdoc);
+    assert.ok(window.document.contains(frame));
+});
+
+test('text that isn\'t shown, or is shown as written, isn\'t marked', { skip: SKIP_DOM }, () => {
+    const window = createWindow(['js/search.js']);
+    const { document, MakeSitesSearch } = window;
+    document.head.innerHTML = '<title>match in the title</title>';
+    document.body.innerHTML = [
+        '<p>match here</p>',
+        '<xmp>match <b>as written</b></xmp>',
+        '<noembed>match</noembed>',
+        '<noframes>match</noframes>',
+        '<iframe>match</iframe>',
+        '<object>match<param name="match"></object>',
+        '<textarea>match</textarea>',
+        '<div hidden>match</div>'
+    ].join('');
+    const before = document.documentElement.outerHTML;
+
+    const matches = MakeSitesSearch.highlight(document.documentElement, 'match');
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0][0].parentElement.localName, 'p');
+    assert.equal(document.querySelector('xmp').textContent, 'match <b>as written</b>');
+
+    MakeSitesSearch.clear(document.documentElement);
+    assert.equal(document.documentElement.outerHTML, before);
+});
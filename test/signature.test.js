@@ -0,0 +1,48 @@
+/**
+ * Signed links: every header field but the signature itself is covered, including
+ * the ones written after it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MakeSitesCompression = require('../js/compression.js');
+
+const compression = new MakeSitesCompression();
+const SOURCE = 'print("hello")\n';
+
+async function signedLink(options = {}) {
+    const signingKey = await globalThis.crypto.subtle.generateKey('Ed25519', true, ['sign', 'verify']);
+    return compression.compress(SOURCE, 'code', { codec: 'gz', signingKey, language: 'python', filename: 'hello.py', ...options });
+}
+
+/**
+ * Replace the first occurrence of some text in the header, keeping its length
+ */
+function replaceInHeader(link, from, to) {
+    const bytes = compression._fromBase64(link);
+    const at = Buffer.from(bytes).indexOf(from);
+    assert.ok(at > 0 && at < compression._decodeWithMetadata(link).header.length, `${from} is in the header`);
+    bytes.set(new TextEncoder().encode(to), at);
+    return compression._toBase64Url(bytes);
+}
+
+test('a signed link opens', async () => {
+    const { content, metadata } = await compression.decompress(await signedLink());
+    assert.equal(content, SOURCE);
+    assert.equal(metadata.fn, 'hello.py');
+    assert.equal(metadata.lg, 'python');
+});
+
+test('the file name and language are written after the signature', async () => {
+    const bytes = compression._fromBase64(await signedLink());
+    const { signatureRange } = compression._readHeader(bytes);
+    assert.ok(Buffer.from(bytes).indexOf('python') > signatureRange[1]);
+    assert.ok(Buffer.from(bytes).indexOf('hello.py') > signatureRange[1]);
+});
+
+for (const [field, from, to] of [['file name (fn)', 'hello.py', 'hello.sh'], ['language (lg)', 'python', 'pythoN']]) {
+    test(`changing the ${field} after the signature fails the check`, async () => {
+        const tampered = replaceInHeader(await signedLink(), from, to);
+        await assert.rejects(compression.decompress(tampered), /Signature check failed/);
+    });
+}
@@ -0,0 +1,80 @@
+/**
+ * Encrypted links in the viewer: the unlock form comes back for a wrong passphrase
+ * or key, and anything else wrong with the link is shown as an error
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_DOM, createWindow } = require('./dom');
+
+const window = SKIP_DOM ? null : createWindow([
+    'js/vendor/pako.min.js',
+    'js/compression.js',
+    'js/sanitizer.js',
+    'js/rendering.js',
+    'js/viewer.js'
+]);
+const { MakeSitesCompression, MakeSitesViewer } = window || {};
+const compression = window && new MakeSitesCompression();
+
+/**
+ * A viewer whose unlock form answers with the given entries in turn
+ */
+function viewerAnswering(entries) {
+    const viewer = new MakeSitesViewer();
+    viewer._setupContainers();
+    viewer._setupActions();
+    viewer.prompts = [];
+    viewer._promptForSecret = async (isPassphrase, error) => {
+        viewer.prompts.push(error);
+        assert.ok(entries.length, `asked again after: ${error}`);
+        return entries.shift();
+    };
+    return viewer;
+}
+
+/**
+ * Flip one bit of the data after the header, keeping the link well-formed
+ */
+function tamper(link) {
+    const bytes = compression._fromBase64(link);
+    bytes[bytes.length - 1] ^= 1;
+    return compression._toBase64Url(bytes);
+}
+
+test('a wrong passphrase asks again', { skip: SKIP_DOM }, async () => {
+    const link = await compression.compress('secret notes', 'text', { codec: 'gz', passphrase: 'right' });
+    const viewer = viewerAnswering(['wrong', 'right']);
+    const { content, passphrase } = await viewer._decompress(link);
+    assert.equal(content, 'secret notes');
+    assert.equal(passphrase, 'right');
+    assert.deepEqual(viewer.prompts, ['', 'Wrong passphrase, or the link was modified']);
+});
+
+test('a wrong or malformed key asks again', { skip: SKIP_DOM }, async () => {
+    const link = await compression.compress('secret notes', 'text', { codec: 'gz', splitKey: true });
+    const [data, key] = link.split(MakeSitesCompression.KEY_SEPARATOR);
+    const other = (await compression.compress('x', 'text', { codec: 'gz', splitKey: true })).split('.')[1];
+    const viewer = viewerAnswering(['not a key', other, key]);
+    assert.equal((await viewer._decompress(data)).content, 'secret notes');
+    assert.deepEqual(viewer.prompts, ['', "That isn't a valid key", 'Wrong key, or the link was modified']);
+});
+
+test('a link that fails for another reason shows its error instead of the form', { skip: SKIP_DOM }, async () => {
+    const keys = await globalThis.crypto.subtle.generateKey('Ed25519', true, ['sign', 'verify']);
+    const link = await compression.compress('secret notes', 'text', { codec: 'gz', passphrase: 'right', signingKey: keys });
+    const viewer = viewerAnswering(['right']);
+    await assert.rejects(viewer._decompress(tamper(link)), error => {
+        assert.match(error.message, /Signature check failed/);
+        assert.notEqual(error.code, MakeSitesCompression.DECRYPTION_FAILED);
+        return true;
+    });
+    assert.equal(viewer.prompts.length, 1);
+});
+
+test('decompress tags only passphrase and key failures', { skip: SKIP_DOM }, async () => {
+    const link = await compression.compress('secret notes', 'text', { codec: 'gz', passphrase: 'right' });
+    await assert.rejects(compression.decompress(link), { code: MakeSitesCompression.DECRYPTION_FAILED });
+    await assert.rejects(compression.decompress(link, { passphrase: 'wrong' }), { code: MakeSitesCompression.DECRYPTION_FAILED });
+    await assert.rejects(compression.decompress(link.slice(0, 10)), error => error.code === undefined);
+});